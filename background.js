@@ -1,99 +1,462 @@
 'use strict';
 
+// Shared with the options page: rule storage (sharding, quotas, local-only
+// mode) and the stored rule schema (normalizers, migrations)
+importScripts('storage.js', 'schema.js');
+
 // Allowed tab group colors per chrome.tabGroups API
-const ALLOWED_GROUP_COLORS = new Set([
-  'grey',
-  'blue',
-  'red',
-  'yellow',
-  'green',
-  'pink',
-  'purple',
-  'cyan',
-  'orange'
-]);
-
-// Prevent re-entrant window organization loops
-const organizingWindows = new Set();
+const ALLOWED_GROUP_COLORS = new Set(GROUP_COLORS);
+
+// Per-window operation queues (see enqueueWindowOp)
+const windowQueues = new Map();
+// Backoff for ops Chrome rejects while the user is dragging a tab
+const TABS_BUSY_RETRY_MS = [100, 250, 500, 1000, 2000, 4000];
 // Track pending auto-close timeouts per tab
 const autoCloseTimers = new Map();
+// Auto-closed tabs kept in storage.local, newest first
+const AUTO_CLOSE_HISTORY_LIMIT = 100;
+// Undo notifications are named this prefix + the history entry ids
+const AUTO_CLOSE_NOTIFICATION_PREFIX = 'auto-close:';
 // Debounce timers for window organization
 const organizeTimers = new Map();
+// Managed group registry, loaded lazily from storage.session (see getManagedGroups)
+let managedGroupsLoad = null;
+// Pending rebuildManagedGroups run; registry readers wait for it
+let managedGroupsRebuild = null;
+// Per-tab manual overrides, loaded lazily from storage.session (see getTabOverrides)
+let tabOverridesLoad = null;
+// Tabs reopened from the auto-close history, loaded lazily from storage.session
+// (see getRestoredAutoClosedTabs)
+let restoredAutoClosedTabsLoad = null;
+// Tabs that have been the active tab, loaded lazily from storage.session (see getActivatedTabs)
+let activatedTabsLoad = null;
+// Tabs whose group/pinned state we are changing ourselves: tabId → time until
+// which group/pinned updates for the tab are attributed to us
+const ownTabChanges = new Map();
+const OWN_CHANGE_GRACE_MS = 1000;
+// Tabs created recently, tabId → creation time; only these are closed as duplicates
+const recentlyCreatedTabs = new Map();
+const NEW_TAB_WINDOW_MS = 10000;
+// Debounce timer for refreshing duplicate badges
+let duplicateMarksTimer = null;
+// Coalesce sweeps requested while one is already running
+let sweepInProgress = false;
+let sweepRequested = false;
+// Compiled pattern matchers keyed by pattern string (cleared when rules change)
+const compiledPatterns = new Map();
 
 /**
- * Read grouping rules from storage.sync.
- * New schema (preferred):
- *   Array<{
- *     title: string,
- *     color: string,
- *     type: 'group' | 'pin',
- *     patterns: string[] // each is a pattern (host or host+path with optional '*')
- *   }>
- * Legacy schema (supported, auto-migrated):
- *   Array<{ pattern: string, color: string, title?: string }>
- * @returns {Promise<Array<{title:string,color:string,patterns:string[]}>>}
+ * Read grouping rules through the rule storage layer (storage.js), in the
+ * current schema whatever shape they were stored in (see
+ * normalizeGroupingRules in schema.js); migrateSettings rewrites old shapes
+ * on install and update.
+ * @returns {Promise<Array<{id:string,title:string,color:string,patterns:string[],excludePatterns:string[]}>>}
  */
 async function getGroups() {
-  const { groupingRules } = await chrome.storage.sync.get({ groupingRules: [] });
-  const data = Array.isArray(groupingRules) ? groupingRules : [];
-  if (data.length === 0) return [];
-  // New schema detection
-  if (data[0] && Array.isArray(data[0].patterns)) {
-    return data.map(g => ({
-      title: String(g.title || '').trim(),
-      color: normalizeColor(g.color),
-      type: g.type === 'pin' ? 'pin' : 'group',
-      patterns: Array.isArray(g.patterns) ? g.patterns.filter(Boolean) : []
-    })).filter(g => (g.type === 'pin' || g.title) && g.patterns.length > 0);
-  }
-  // Legacy schema → migrate in-memory and write back
-  const byTitle = new Map();
-  for (const r of data) {
-    if (!r || typeof r.pattern !== 'string') continue;
-    const title = (r.title && String(r.title).trim()) || r.pattern;
-    const color = normalizeColor(r.color);
-    if (!byTitle.has(title)) {
-      byTitle.set(title, { title, color, type: 'group', patterns: [] });
-    }
-    const g = byTitle.get(title);
-    if (!g.patterns.includes(r.pattern)) g.patterns.push(r.pattern);
-    // Prefer first seen non-default color
-    if (g.color === 'grey' && color !== 'grey') g.color = color;
-  }
-  const groups = Array.from(byTitle.values());
+  const { groupingRules } = await loadRuleData({ groupingRules: [] });
+  return normalizeGroups(normalizeGroupingRules(groupingRules)).filter(isUsableGroup);
+}
+
+/**
+ * Normalize new-schema group rules. Keeps every entry (even incomplete ones)
+ * so indexes line up with the caller's list; see isUsableGroup.
+ * @param {Array<Object>} data
+ * @returns {Array<{id:string,title:string,color:string,type:string,patterns:string[],excludePatterns:string[],
+ *   bookmarkFolder:string}>} bookmarkFolder is '' when the rule has no linked folder
+ */
+function normalizeGroups(data) {
+  return data.map(g => ({
+    id: g && typeof g.id === 'string' ? g.id : '',
+    title: String((g && g.title) || '').trim(),
+    color: normalizeColor(g && g.color),
+    type: g && g.type === 'pin' ? 'pin' : 'group',
+    patterns: g && Array.isArray(g.patterns) ? g.patterns.filter(Boolean) : [],
+    excludePatterns: g && Array.isArray(g.excludePatterns) ? g.excludePatterns.filter(Boolean) : [],
+    allowDuplicates: Boolean(g && g.allowDuplicates),
+    schedule: normalizeSchedule(g && g.schedule),
+    bookmarkFolder: g && typeof g.bookmarkFolder === 'string' ? g.bookmarkFolder.trim() : ''
+  }));
+}
+
+/**
+ * Whether a normalized group can take part in matching.
+ * @param {{title:string,type:string,patterns:string[]}} g
+ */
+function isUsableGroup(g) {
+  return (g.type === 'pin' || Boolean(g.title)) && g.patterns.length > 0;
+}
+
+// Fires at the next moment a rule schedule starts or ends
+const SCHEDULE_ALARM = 'rule-schedule';
+
+/**
+ * A rule's optional schedule (stored shape: normalizeScheduleItem in
+ * schema.js) with its time ranges parsed. No days means every day and no
+ * ranges the whole day. A range that ends before it starts runs past
+ * midnight and belongs to the day it starts on. Invalid ranges are dropped.
+ * @param {*} raw stored { days: number[], ranges: string[] }
+ * @returns {{days:number[], ranges:Array<{start:number, end:number}>}|null}
+ *   ranges in minutes since midnight; null when the rule is always active
+ */
+function normalizeSchedule(raw) {
+  const item = normalizeScheduleItem(raw);
+  if (!item) return null;
+  const ranges = [];
+  for (const r of item.ranges || []) {
+    const m = SCHEDULE_RANGE_RE.exec(r);
+    if (!m) continue;
+    const start = Number(m[1]) * 60 + Number(m[2]);
+    const end = Math.min(24 * 60, Number(m[3]) * 60 + Number(m[4]));
+    if (start !== end) ranges.push({ start, end });
+  }
+  if (!item.days && !ranges.length) return null;
+  return { days: item.days || [], ranges };
+}
+
+/**
+ * Whether a rule with this schedule applies at a given time.
+ * @param {ReturnType<typeof normalizeSchedule>} schedule
+ * @param {Date=} now
+ */
+function isScheduleActive(schedule, now = new Date()) {
+  if (!schedule) return true;
+  const day = now.getDay();
+  const minute = now.getHours() * 60 + now.getMinutes();
+  const onDay = (d) => !schedule.days.length || schedule.days.includes(d);
+  if (!schedule.ranges.length) return onDay(day);
+  return schedule.ranges.some(({ start, end }) => {
+    if (start < end) return onDay(day) && minute >= start && minute < end;
+    // Past midnight: the early hours belong to the day before
+    return (onDay(day) && minute >= start) || (onDay((day + 6) % 7) && minute < end);
+  });
+}
+
+/**
+ * The next time after `now` at which any of the schedules may start or end:
+ * a range boundary or, for weekday schedules, midnight.
+ * @param {Array<NonNullable<ReturnType<typeof normalizeSchedule>>>} schedules
+ * @param {Date} now
+ * @returns {Date|null}
+ */
+function nextScheduleBoundary(schedules, now) {
+  if (!schedules.length) return null;
+  const minutes = new Set([0]);
+  for (const s of schedules) {
+    for (const r of s.ranges) {
+      minutes.add(r.start);
+      minutes.add(r.end % (24 * 60));
+    }
+  }
+  let next = null;
+  for (let d = 0; d <= 7; d++) {
+    for (const m of minutes) {
+      const t = new Date(now.getFullYear(), now.getMonth(), now.getDate() + d, 0, m);
+      if (t > now && (!next || t < next)) next = t;
+    }
+  }
+  return next;
+}
+
+/**
+ * Set the schedule alarm for the next boundary of any group or auto-close
+ * rule schedule, or clear it when no rule has one. Leaves the alarm as it is
+ * while the rules are still syncing; their arrival calls this again.
+ */
+async function syncScheduleAlarm() {
+  let groups, autoRules;
   try {
-    await chrome.storage.sync.set({ groupingRules: groups });
-  } catch {
-    // ignore write errors
+    [groups, autoRules] = await Promise.all([getGroups(), getAutoCloseRules()]);
+  } catch (e) {
+    console.warn('Schedule alarm not updated:', e.message);
+    return;
+  }
+  const schedules = groups.concat(autoRules).map(r => r.schedule).filter(Boolean);
+  const next = nextScheduleBoundary(schedules, new Date());
+  if (next) {
+    await chrome.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+  } else {
+    await chrome.alarms.clear(SCHEDULE_ALARM);
+  }
+}
+
+/**
+ * A schedule boundary passed: regroup every tab, and check the open tabs
+ * that a scheduled auto-close rule now applies to.
+ */
+async function applyRuleSchedules() {
+  await syncScheduleAlarm();
+  sweepAllTabs();
+  const autoRules = (await getAutoCloseRules()).filter(r => r.schedule && isScheduleActive(r.schedule));
+  if (!autoRules.length) return;
+  for (const tab of await chrome.tabs.query({})) {
+    const url = tab.url || tab.pendingUrl;
+    const parts = url ? getUrlParts(url) : null;
+    if (parts && autoRules.some(r => autoCloseRuleMatches(r, parts))) maybeScheduleAutoClose(tab);
   }
-  return groups;
 }
 
 /**
- * Read auto-close rules from storage.sync.
- * Supports legacy string array; normalizes to { pattern, delaySeconds }.
- * @returns {Promise<Array<{pattern:string, delaySeconds:number}>>}
+ * Read auto-close rules through the rule storage layer (storage.js).
+ * Normalizes to the shape normalizeAutoCloseRules documents. Like getGroups,
+ * throws while the rules are incomplete rather than reporting none.
+ * @returns {Promise<Array<Object>>}
  */
 async function getAutoCloseRules() {
+  const { autoClosePatterns } = await loadRuleData({ autoClosePatterns: [] });
+  return normalizeAutoCloseRules(autoClosePatterns);
+}
+
+/**
+ * Stored auto-close entries (any shape normalizeAutoCloseItems in schema.js
+ * reads) with every default filled in.
+ *  - action: one of AUTO_CLOSE_ACTION_TYPES; 'focusOpener' closes the tab and
+ *    activates the tab that opened it, 'moveToGroup' moves it to the group
+ *    titled groupTitle (rules without a groupTitle are dropped)
+ *  - openedByTab / neverActive / afterLoad / titlePattern: conditions that
+ *    must all hold when the delay is up; the delay of an afterLoad rule
+ *    starts when the page has loaded
+ *  - schedule: when the rule applies (see normalizeSchedule)
+ * @param {*} raw
+ * @returns {Array<{pattern:string, delaySeconds:number, excludePatterns:string[], dryRun:boolean,
+ *   action:string, groupTitle:string, openedByTab:boolean, neverActive:boolean, afterLoad:boolean,
+ *   titlePattern:string, schedule:ReturnType<typeof normalizeSchedule>}>}
+ */
+function normalizeAutoCloseRules(raw) {
+  const base = {
+    excludePatterns: [], dryRun: false, action: 'close', groupTitle: '',
+    openedByTab: false, neverActive: false, afterLoad: false, titlePattern: ''
+  };
+  return normalizeAutoCloseItems(raw)
+    .filter(it => it.action !== 'moveToGroup' || it.groupTitle)
+    .map(it => ({ ...base, ...it, schedule: normalizeSchedule(it.schedule) }));
+}
+
+/**
+ * Whether to show a notification with an Undo button when a tab is auto-closed.
+ * @returns {Promise<boolean>}
+ */
+async function getAutoCloseNotify() {
   try {
-    const { autoClosePatterns } = await chrome.storage.sync.get({ autoClosePatterns: [] });
-    const raw = Array.isArray(autoClosePatterns) ? autoClosePatterns : [];
-    const out = [];
-    for (const it of raw) {
-      if (typeof it === 'string') {
-        const p = it.trim();
-        if (p) out.push({ pattern: p, delaySeconds: 1 });
-      } else if (it && typeof it.pattern === 'string') {
-        let d = Number(it.delaySeconds ?? it.delay);
-        if (!Number.isFinite(d)) d = 1;
-        d = Math.min(10, Math.max(1, Math.floor(d)));
-        const p = it.pattern.trim();
-        if (p) out.push({ pattern: p, delaySeconds: d });
-      }
+    const { autoCloseNotify } = await chrome.storage.sync.get({ autoCloseNotify: false });
+    return autoCloseNotify === true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read the rule matching mode from storage.sync.
+ *  - 'first':    the first group (in rule order) with a matching pattern wins
+ *  - 'specific': the most specific matching pattern wins (see patternSpecificity)
+ * @returns {Promise<'first'|'specific'>}
+ */
+async function getMatchMode() {
+  try {
+    const { matchMode } = await chrome.storage.sync.get({ matchMode: 'first' });
+    return matchMode === 'specific' ? 'specific' : 'first';
+  } catch {
+    return 'first';
+  }
+}
+
+// The profile existing rules belong to before any profile is created
+const DEFAULT_PROFILE = { id: 'default', name: 'Default' };
+// Notification shown when the keyboard command switches profiles
+const PROFILE_NOTIFICATION_ID = 'profile-switch';
+
+/**
+ * Normalize the stored profiles: named sets of grouping and auto-close rules.
+ * The active profile's rules are the top-level groupingRules and
+ * autoClosePatterns keys, which everything else reads; the other profiles
+ * keep theirs in their entry until they're switched to. Without stored
+ * profiles the current rules form the Default profile.
+ * @param {*} raw stored `profiles`
+ * @param {*} activeProfileId stored `activeProfileId`
+ * @returns {{profiles: Array<{id:string, name:string, groupingRules?:Array, autoClosePatterns?:Array}>,
+ *   activeProfileId: string}}
+ */
+function normalizeProfiles(raw, activeProfileId) {
+  const profiles = [];
+  const seen = new Set();
+  for (const p of Array.isArray(raw) ? raw : []) {
+    if (!p || typeof p.id !== 'string' || !p.id || seen.has(p.id)) continue;
+    seen.add(p.id);
+    const name = typeof p.name === 'string' && p.name.trim() ? p.name.trim() : `Profile ${profiles.length + 1}`;
+    const profile = { id: p.id, name };
+    if (Array.isArray(p.groupingRules)) profile.groupingRules = p.groupingRules;
+    if (Array.isArray(p.autoClosePatterns)) profile.autoClosePatterns = p.autoClosePatterns;
+    profiles.push(profile);
+  }
+  if (!profiles.length) profiles.push({ ...DEFAULT_PROFILE });
+  return {
+    profiles,
+    activeProfileId: profiles.some(p => p.id === activeProfileId) ? activeProfileId : profiles[0].id
+  };
+}
+
+/**
+ * Read the profiles, without their rules.
+ * @returns {Promise<{profiles: Array<{id:string, name:string}>, activeProfileId: string}>}
+ */
+async function getProfiles() {
+  const stored = await loadRuleData({ profiles: null, activeProfileId: null });
+  const { profiles, activeProfileId } = normalizeProfiles(stored.profiles, stored.activeProfileId);
+  return { profiles: profiles.map(p => ({ id: p.id, name: p.name })), activeProfileId };
+}
+
+/**
+ * Make another profile active: the current rules are stored in the old
+ * profile's entry and the new profile's become the top-level rules, in one
+ * write. The storage listener then re-adopts groups for the new rules and
+ * sweeps, so groups the new profile doesn't manage are released.
+ * @param {string} profileId
+ * @returns {Promise<{id:string, name:string}>} the active profile
+ */
+async function switchProfile(profileId) {
+  const stored = await loadRuleData({ profiles: null, activeProfileId: null, groupingRules: [], autoClosePatterns: [] });
+  const { profiles, activeProfileId } = normalizeProfiles(stored.profiles, stored.activeProfileId);
+  const target = profiles.find(p => p.id === profileId);
+  if (!target) throw new Error(`No profile with id: ${profileId}`);
+  if (target.id === activeProfileId) return { id: target.id, name: target.name };
+  const next = profiles.map(p => {
+    if (p.id === activeProfileId) {
+      return { id: p.id, name: p.name, groupingRules: stored.groupingRules, autoClosePatterns: stored.autoClosePatterns };
     }
-    return out;
+    return p.id === target.id ? { id: p.id, name: p.name } : p;
+  });
+  await saveRuleData({
+    profiles: next,
+    activeProfileId: target.id,
+    groupingRules: target.groupingRules || [],
+    autoClosePatterns: target.autoClosePatterns || []
+  });
+  return { id: target.id, name: target.name };
+}
+
+/**
+ * Add an empty profile and switch to it.
+ * @param {string} name
+ */
+async function createProfile(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('Enter a name for the profile');
+  const stored = await loadRuleData({ profiles: null, activeProfileId: null });
+  const { profiles } = normalizeProfiles(stored.profiles, stored.activeProfileId);
+  const id = crypto.randomUUID();
+  profiles.push({ id, name: trimmed, groupingRules: [], autoClosePatterns: [] });
+  await saveRuleData({ profiles });
+  return switchProfile(id);
+}
+
+/**
+ * @param {string} profileId
+ * @param {string} name
+ */
+async function renameProfile(profileId, name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('Enter a name for the profile');
+  const stored = await loadRuleData({ profiles: null, activeProfileId: null });
+  const { profiles } = normalizeProfiles(stored.profiles, stored.activeProfileId);
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile) throw new Error(`No profile with id: ${profileId}`);
+  profile.name = trimmed;
+  await saveRuleData({ profiles });
+}
+
+/**
+ * Delete a profile and its rules. Deleting the active profile switches to
+ * the first remaining one first.
+ * @param {string} profileId
+ */
+async function deleteProfile(profileId) {
+  let { profiles, activeProfileId } = await getProfiles();
+  if (!profiles.some(p => p.id === profileId)) throw new Error(`No profile with id: ${profileId}`);
+  if (profiles.length === 1) throw new Error('The only profile can\'t be deleted');
+  if (profileId === activeProfileId) {
+    activeProfileId = (await switchProfile(profiles.find(p => p.id !== profileId).id)).id;
+  }
+  const stored = await loadRuleData({ profiles: null });
+  const rest = normalizeProfiles(stored.profiles, activeProfileId).profiles.filter(p => p.id !== profileId);
+  await saveRuleData({ profiles: rest });
+}
+
+/**
+ * Switch to the profile after the active one, wrapping around, and say so
+ * in a notification.
+ */
+async function switchToNextProfile() {
+  const { profiles, activeProfileId } = await getProfiles();
+  if (profiles.length < 2) return;
+  const index = profiles.findIndex(p => p.id === activeProfileId);
+  const profile = await switchProfile(profiles[(index + 1) % profiles.length].id);
+  try {
+    await chrome.notifications.create(PROFILE_NOTIFICATION_ID, {
+      type: 'basic',
+      iconUrl: 'icon128.png',
+      title: 'Switched profile',
+      message: `Now using the "${profile.name}" rules`
+    });
+  } catch (e) {
+    console.error('Error showing profile notification:', e);
+  }
+}
+
+// Saved rule sets kept in storage.local, newest first
+const RULE_HISTORY_LIMIT = 50;
+let ruleHistoryTimer = null;
+
+/**
+ * Record the rules after a change settles (the grouping and auto-close rules,
+ * or their shards, arrive as separate storage changes).
+ */
+function scheduleRuleHistoryRecord() {
+  clearTimeout(ruleHistoryTimer);
+  ruleHistoryTimer = setTimeout(() => {
+    recordRuleHistory().catch(e => console.error('Error recording rule history:', e));
+  }, 500);
+}
+
+/**
+ * Add the current rules to the rule history unless they match its newest
+ * entry. Every change is recorded, whether saved here, synced from another
+ * computer or a profile switch, so the previous version can be restored
+ * from the options page. Entries are
+ * { id, savedAt, profileId, groupingRules, autoClosePatterns } in the
+ * stored shape (see schema.js).
+ */
+async function recordRuleHistory() {
+  const [stored, { ruleHistory }] = await Promise.all([
+    loadRuleData({ groupingRules: [], autoClosePatterns: [], activeProfileId: null }),
+    chrome.storage.local.get({ ruleHistory: [] })
+  ]);
+  const rules = {
+    groupingRules: normalizeGroupingRules(stored.groupingRules),
+    autoClosePatterns: normalizeAutoCloseItems(stored.autoClosePatterns)
+  };
+  const history = Array.isArray(ruleHistory) ? ruleHistory : [];
+  const latest = history[0];
+  if (latest && JSON.stringify(rules) === JSON.stringify({ groupingRules: latest.groupingRules, autoClosePatterns: latest.autoClosePatterns })) {
+    return;
+  }
+  const entry = { id: crypto.randomUUID(), savedAt: Date.now(), profileId: stored.activeProfileId || DEFAULT_PROFILE.id, ...rules };
+  await chrome.storage.local.set({ ruleHistory: [entry, ...history].slice(0, RULE_HISTORY_LIMIT) });
+}
+
+/**
+ * Read the window layout policy from storage.sync (see normalizeLayout in
+ * schema.js).
+ *  - groupOrder:        'manual' (keep the user's order) | 'rules' (rules list order) | 'alphabetical'
+ *  - managedGroups:     'mixed' | 'first' | 'last' (rule-managed groups before/after manual ones)
+ *  - ungroupedPosition: 'right' | 'left' (of the groups)
+ *  - sortTabsBy:        'none' | 'url' | 'title' | 'lastAccessed' (tabs inside each group)
+ * @returns {Promise<typeof DEFAULT_LAYOUT>}
+ */
+async function getLayout() {
+  try {
+    const { layout } = await chrome.storage.sync.get({ layout: null });
+    return normalizeLayout(layout);
   } catch {
-    return [];
+    return { ...DEFAULT_LAYOUT };
   }
 }
 
@@ -112,25 +475,40 @@ function normalizeColor(color) {
  * @returns {string|null}
  */
 function getHostFromUrl(url) {
-  try {
-    const u = new URL(url);
-    if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
-    return u.hostname.toLowerCase();
-  } catch {
-    return null;
-  }
+  const parts = getUrlParts(url);
+  return parts ? parts.host : null;
 }
 
+// Ports implied by the scheme when the URL doesn't spell one out
+const DEFAULT_PORTS = { http: '80', https: '443' };
+
 /**
- * Extract pathname from URL string. Returns null if invalid or non-http(s).
+ * Split a URL string into the parts that patterns can match on.
+ * Returns null if invalid or non-http(s).
+ *  - scheme: 'http' | 'https'
+ *  - host:   lowercased hostname
+ *  - port:   explicit port, or the scheme's default port
+ *  - path:   pathname (at least '/')
+ *  - query:  search string without the leading '?'
+ *  - hash:   fragment without the leading '#'
+ *  - href:   the full normalized URL (used by 're:' patterns)
  * @param {string} url
- * @returns {string|null}
+ * @returns {{scheme:string,host:string,port:string,path:string,query:string,hash:string,href:string}|null}
  */
-function getPathFromUrl(url) {
+function getUrlParts(url) {
   try {
     const u = new URL(url);
     if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
-    return u.pathname || '/';
+    const scheme = u.protocol.slice(0, -1);
+    return {
+      scheme,
+      host: u.hostname.toLowerCase(),
+      port: u.port || DEFAULT_PORTS[scheme],
+      path: u.pathname || '/',
+      query: u.search.replace(/^\?/, ''),
+      hash: u.hash.replace(/^#/, ''),
+      href: u.href
+    };
   } catch {
     return null;
   }
@@ -174,215 +552,2085 @@ function globToRegExp(glob) {
 }
 
 /**
- * Full URL pattern match supporting optional path:
- *  - Host portion follows patternMatchesHost semantics (exact or *.base)
- *  - Optional path portion after first '/' in pattern:
- *      • exact match (no '*')
- *      • '*' wildcard matches any sequence
- *    Examples:
- *      example.com           → any path on example.com
- *      example.com/docs      → only /docs
- *      example.com/docs/*    → any path under /docs/
- *      *.example.com/*       → any path on any subdomain of example.com
- * @param {string} pattern
- * @param {string} host
- * @param {string} pathname
+ * Split a URL pattern into its components. Absent components are null
+ * and match anything.
+ * @param {string} pattern
+ * @returns {{scheme:?string,host:string,port:?string,path:?string,query:?string,hash:?string}|null}
+ */
+function parseUrlPattern(pattern) {
+  const m = URL_PATTERN_RE.exec(pattern);
+  if (!m) return null;
+  return {
+    scheme: m[1] ? m[1].toLowerCase() : null,
+    host: m[2].toLowerCase(),
+    port: m[3] || null,
+    path: m[4] != null ? m[4] : null,
+    query: m[5] != null ? m[5] : null,
+    hash: m[6] != null ? m[6] : null
+  };
+}
+
+/**
+ * Compile a URL pattern into a matcher. Absent components match anything.
+ * Pattern forms:
+ *  - Optional scheme prefix: 'http://' or 'https://' ('*://' or none = either)
+ *  - Host portion follows patternMatchesHost semantics (exact or *.base)
+ *  - Optional ':port' (':*' or none = any port; default ports count, so
+ *    'example.com:443' matches 'https://example.com/')
+ *  - Optional path portion starting with '/':
+ *      • no '*' → prefix match
+ *      • '*' wildcard matches any sequence
+ *  - Optional '?query' and '#fragment', matched against the whole query
+ *    string / fragment; use '*' for the parts you don't care about
+ *  - 're:<regex>' is a regular expression tested against the full URL
+ *    Examples:
+ *      example.com                        → any URL on example.com
+ *      example.com/docs/*                 → any path under /docs/
+ *      *.example.com/*                    → any path on any subdomain of example.com
+ *      localhost:3000/*                   → only port 3000
+ *      https://example.com                → https only
+ *      app.example.com/search?project=a* → /search with a query starting 'project=a'
+ *      re:^https://(jira|wiki)\.corp\.com/ → either host, https only
+ * The matcher's exec() returns null or the details title templates need:
+ *  - captures: regex capture groups (index 0 = group 1)
+ *  - named:    regex named capture groups
+ *  - subdomain: labels covered by a leading '*.' in the host pattern
+ * Returns null for patterns that don't parse (including invalid regexes).
+ * @param {string} pattern
+ * @returns {{exec:(parts:ReturnType<typeof getUrlParts>)=>?{captures:string[],named:Object<string,string>,subdomain:?string}}|null}
+ */
+function compilePattern(pattern) {
+  if (pattern.startsWith(REGEX_PATTERN_PREFIX)) {
+    let re;
+    try {
+      re = new RegExp(pattern.slice(REGEX_PATTERN_PREFIX.length));
+    } catch {
+      return null;
+    }
+    return {
+      exec(parts) {
+        const m = re.exec(parts.href);
+        if (!m) return null;
+        return { captures: m.slice(1), named: m.groups || {}, subdomain: null };
+      }
+    };
+  }
+
+  const p = parseUrlPattern(pattern);
+  if (!p) return null;
+  // Implicit wildcard: if no wildcard, treat path as prefix match
+  const pathRe = p.path ? globToRegExp(p.path.includes('*') ? p.path : p.path + '*') : null;
+  const queryRe = p.query != null ? globToRegExp(p.query) : null;
+  const hashRe = p.hash != null ? globToRegExp(p.hash) : null;
+  return {
+    exec(parts) {
+      if (p.scheme && p.scheme !== '*' && p.scheme !== parts.scheme) return null;
+      if (!patternMatchesHost(p.host, parts.host)) return null;
+      if (p.port && p.port !== '*' && p.port !== parts.port) return null;
+      if (pathRe && !pathRe.test(parts.path || '/')) return null;
+      if (queryRe && !queryRe.test(parts.query || '')) return null;
+      if (hashRe && !hashRe.test(parts.hash || '')) return null;
+      const subdomain = p.host.startsWith('*.') ? parts.host.slice(0, -(p.host.length - 1)) : null;
+      return { captures: [], named: {}, subdomain };
+    }
+  };
+}
+
+/**
+ * Match a URL against a pattern (see compilePattern for the pattern grammar).
+ * Compiled matchers are cached so tab events don't recompile rules.
+ * @param {string} pattern
+ * @param {ReturnType<typeof getUrlParts>} parts
+ */
+function matchPattern(pattern, parts) {
+  if (!pattern || !parts) return null;
+  if (!compiledPatterns.has(pattern)) {
+    // Unsaved patterns from the options page tester also land here; keep it bounded
+    if (compiledPatterns.size >= 1000) compiledPatterns.clear();
+    compiledPatterns.set(pattern, compilePattern(pattern));
+  }
+  const compiled = compiledPatterns.get(pattern);
+  return compiled ? compiled.exec(parts) : null;
+}
+
+/**
+ * Boolean form of matchPattern.
+ * @param {string} pattern
+ * @param {ReturnType<typeof getUrlParts>} parts
+ */
+function patternMatchesUrl(pattern, parts) {
+  return Boolean(matchPattern(pattern, parts));
+}
+
+// Title template placeholders: {host}, {subdomain}, {path.N}, {query.NAME},
+// {N} (regex capture group) and {NAME} (named regex capture group)
+const TITLE_PLACEHOLDER_RE = /\{([^{}]+)\}/g;
+
+/**
+ * Whether a group title contains template placeholders.
+ * @param {string} title
+ */
+function isTitleTemplate(title) {
+  return typeof title === 'string' && /\{[^{}]+\}/.test(title);
+}
+
+/**
+ * Fill in a title template, also returning the placeholder values: they
+ * identify which of a rule's groups the URL belongs to, independently of
+ * the literal text around them (so editing that text renames groups).
+ * Returns null when a placeholder has no value for the URL (e.g. {path.2}
+ * on a one-segment path), so the rule is skipped rather than producing a
+ * title like "GH: /".
+ *  - {host}        hostname
+ *  - {subdomain}   labels covered by '*.' in the pattern, else all but the last two host labels
+ *  - {path.N}      N-th path segment (1-based)
+ *  - {query.NAME}  value of query parameter NAME
+ *  - {N} / {NAME}  numbered / named capture group of a 're:' pattern
+ * @param {string} template
+ * @param {ReturnType<typeof getUrlParts>} parts
+ * @param {{captures:string[],named:Object<string,string>,subdomain:?string}} matchInfo
+ * @returns {?{title:string, values:string[]}}
+ */
+function fillTitleTemplate(template, parts, matchInfo) {
+  if (!isTitleTemplate(template)) return { title: template, values: [] };
+  const values = [];
+  let missing = false;
+  const segments = (parts.path || '/').split('/').filter(Boolean);
+  const rendered = template.replace(TITLE_PLACEHOLDER_RE, (_, name) => {
+    const key = name.trim();
+    let value;
+    if (key === 'host') {
+      value = parts.host;
+    } else if (key === 'subdomain') {
+      value = matchInfo.subdomain != null ? matchInfo.subdomain : parts.host.split('.').slice(0, -2).join('.');
+    } else if (/^path\.\d+$/.test(key)) {
+      value = segments[Number(key.slice(5)) - 1];
+    } else if (key.startsWith('query.')) {
+      // URLSearchParams already decodes
+      value = new URLSearchParams(parts.query).get(key.slice(6)) || '';
+      if (!value) missing = true;
+      values.push(value);
+      return value;
+    } else if (/^\d+$/.test(key)) {
+      value = matchInfo.captures[Number(key) - 1];
+    } else {
+      value = matchInfo.named[key];
+    }
+    if (!value) {
+      missing = true;
+      value = '';
+    }
+    try {
+      value = decodeURIComponent(value);
+    } catch {
+      // keep the raw value
+    }
+    values.push(value);
+    return value;
+  });
+  if (missing) return null;
+  const title = rendered.trim();
+  // The host fallback must not merge different hosts into one group
+  return title ? { title, values } : { title: parts.host, values: [parts.host] };
+}
+
+/**
+ * Whether a URL is excluded from a rule by one of its excludePatterns.
+ * @param {{excludePatterns?:string[]}} rule
+ * @param {ReturnType<typeof getUrlParts>} parts
+ */
+function isExcludedByRule(rule, parts) {
+  const excludes = Array.isArray(rule.excludePatterns) ? rule.excludePatterns : [];
+  return excludes.some(p => typeof p === 'string' && patternMatchesUrl(p, parts));
+}
+
+/**
+ * Whether an auto-close rule applies to a URL.
+ * @param {{pattern:string, excludePatterns?:string[]}} rule
+ * @param {ReturnType<typeof getUrlParts>} parts
+ */
+function autoCloseRuleMatches(rule, parts) {
+  return typeof rule.pattern === 'string' && patternMatchesUrl(rule.pattern, parts) && !isExcludedByRule(rule, parts);
+}
+
+/**
+ * Whether a tab meets an auto-close rule's conditions. The title pattern
+ * takes '*' wildcards and is matched case-insensitively against the whole title.
+ * @param {ReturnType<typeof normalizeAutoCloseRules>[number]} rule
+ * @param {chrome.tabs.Tab} tab
+ * @param {Set<number>} activated tabs that have been active (see getActivatedTabs)
+ */
+function autoCloseConditionsMet(rule, tab, activated) {
+  if (rule.openedByTab && tab.openerTabId == null) return false;
+  if (rule.neverActive && (tab.active || activated.has(tab.id))) return false;
+  if (rule.afterLoad && tab.status !== 'complete') return false;
+  if (rule.titlePattern && !new RegExp(globToRegExp(rule.titlePattern).source, 'i').test(tab.title || '')) return false;
+  return true;
+}
+
+/**
+ * Whether an auto-close action closes the tab.
+ * @param {string} action
+ */
+function isClosingAutoCloseAction(action) {
+  return action === 'close' || action === 'focusOpener';
+}
+
+/**
+ * Score how specific a pattern is, for the 'specific' match mode.
+ * Compared element by element (see compareSpecificity):
+ *  1. host kind: exact host (2) over wildcard subdomain (1)
+ *  2. host length: *.team.example.com over *.example.com
+ *  3. path length, ignoring '*'
+ *  4. number of scheme/port/query/fragment constraints
+ * 're:' patterns can't be analyzed and score like a bare wildcard host.
+ * @param {string} pattern
+ * @returns {number[]}
+ */
+function patternSpecificity(pattern) {
+  const p = pattern.startsWith(REGEX_PATTERN_PREFIX) ? null : parseUrlPattern(pattern);
+  if (!p) return [1, 0, 0, 0];
+  const wildcardHost = p.host.startsWith('*.');
+  const hostLength = wildcardHost ? p.host.length - 2 : p.host.length;
+  const pathLength = p.path ? p.path.replace(/\*/g, '').length : 0;
+  const extras = [p.scheme && p.scheme !== '*', p.port && p.port !== '*', p.query != null, p.hash != null]
+    .filter(Boolean).length;
+  return [wildcardHost ? 1 : 2, hostLength, pathLength, extras];
+}
+
+/**
+ * Compare two specificity scores; positive when a is more specific.
+ * @param {number[]} a
+ * @param {number[]} b
+ */
+function compareSpecificity(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Find the matching rule for a URL.
+ * Returns the matching group (title, color) or null. Title templates are
+ * rendered for the URL, so one rule can produce many group titles; a
+ * pattern whose match leaves a placeholder empty doesn't count as a match.
+ * A rule whose excludePatterns match is skipped, so later rules get a chance.
+ * In 'first' mode the first group in rule order wins; in 'specific' mode the
+ * group with the most specific matching pattern wins (ties go to rule order).
+ * @param {ReturnType<typeof getUrlParts>} parts
+ * @param {Array<{title:string,color:string,type:string,patterns:string[]}>} groups
+ * @param {'first'|'specific'=} matchMode
+ * @param {Date=} now time to check rule schedules against; rules outside
+ *   their schedule are skipped
+ * @returns {{title:string,color:string,type:string,template:string,pattern:string,ruleIndex:number,ruleId:string,groupKey:string}|null}
+ */
+function findMatchingGroup(parts, groups, matchMode = 'first', now = new Date()) {
+  if (!parts) return null;
+  let best = null;
+  for (let i = 0; i < groups.length; i++) {
+    const g = groups[i];
+    if (!g || (g.type !== 'pin' && !g.title) || !Array.isArray(g.patterns)) continue;
+    if (isExcludedByRule(g, parts)) continue;
+    if (!isScheduleActive(g.schedule, now)) continue;
+    for (const p of g.patterns) {
+      const info = typeof p === 'string' ? matchPattern(p, parts) : null;
+      if (!info || !canFillTitle(g, parts, info)) continue;
+      if (matchMode !== 'specific') {
+        return buildGroupMatch(g, i, p, parts, info);
+      }
+      const score = patternSpecificity(p);
+      if (!best || compareSpecificity(score, best.score) > 0) {
+        best = { index: i, pattern: p, info, score };
+      }
+    }
+  }
+  return best ? buildGroupMatch(groups[best.index], best.index, best.pattern, parts, best.info) : null;
+}
+
+/**
+ * Whether a rule's title can be rendered for a pattern match: pin rules and
+ * fixed titles always can, templates need a value for every placeholder.
+ * @param {{title:string,type:string}} g
+ * @param {ReturnType<typeof getUrlParts>} parts
+ * @param {{captures:string[],named:Object<string,string>,subdomain:?string}} info
+ */
+function canFillTitle(g, parts, info) {
+  return g.type === 'pin' || fillTitleTemplate(g.title, parts, info) !== null;
+}
+
+/**
+ * Shape a matched rule into the result findMatchingGroup returns.
+ * The match must be one canFillTitle accepts.
+ * @param {{title:string,color:string,type:string}} g
+ * @param {number} ruleIndex
+ * @param {string} pattern
+ * @param {ReturnType<typeof getUrlParts>} parts
+ * @param {{captures:string[],named:Object<string,string>,subdomain:?string}} info
+ */
+function buildGroupMatch(g, ruleIndex, pattern, parts, info) {
+  const type = g.type || 'group';
+  const filled = type === 'pin' ? { title: g.title, values: [] } : fillTitleTemplate(g.title, parts, info);
+  return {
+    title: filled.title,
+    color: normalizeColor(g.color),
+    type,
+    template: g.title,
+    pattern,
+    ruleIndex,
+    ruleId: g.id || '',
+    // Identifies one of the rule's groups: '' for fixed titles, the placeholder values for templates
+    groupKey: filled.values.join('\u001f')
+  };
+}
+
+/**
+ * Explain how a URL fares against every rule, for the options page tester.
+ * Rules are given as raw (possibly unsaved) options-page rows, so indexes
+ * line up with the rows on screen.
+ * Per-rule status is one of:
+ *  - 'matched':    this rule wins
+ *  - 'shadowed':   a pattern matched, but an earlier rule won ('first' mode)
+ *  - 'outranked':  a pattern matched, but a more specific one won ('specific' mode)
+ *  - 'excluded':   a pattern matched, but so did an exclude pattern
+ *  - 'off-schedule': a pattern matched, but the rule's schedule isn't active now
+ *  - 'missing-placeholder': a pattern matched, but the title template has a
+ *                  placeholder the URL has no value for
+ *  - 'no-match':   no pattern matched
+ *  - 'incomplete': the rule is missing a title or patterns and is ignored
+ * Auto-close rules get the same statuses, except 'outranked',
+ * 'missing-placeholder' and 'incomplete'.
+ * @param {string} url
+ * @param {Array<Object>} rawGroups
+ * @param {Array<string|Object>} rawAutoClose
+ * @param {'first'|'specific'} matchMode
+ */
+function explainUrl(url, rawGroups, rawAutoClose, matchMode) {
+  const parts = getUrlParts(url);
+  if (!parts) {
+    return { supported: false, match: null, rules: [], autoClose: null, autoCloseRules: [] };
+  }
+  const groups = normalizeGroups(rawGroups);
+  const match = findMatchingGroup(parts, groups, matchMode);
+  const rules = groups.map((g, index) => {
+    const base = { index, type: g.type, title: g.title };
+    if (!isUsableGroup(g)) return { ...base, status: 'incomplete' };
+    const pattern = g.patterns.find(p => patternMatchesUrl(p, parts));
+    if (!pattern) return { ...base, status: 'no-match' };
+    const excludePattern = g.excludePatterns.find(p => patternMatchesUrl(p, parts));
+    if (excludePattern) return { ...base, status: 'excluded', pattern, excludePattern };
+    if (!isScheduleActive(g.schedule)) return { ...base, status: 'off-schedule', pattern };
+    if (!g.patterns.some(p => {
+      const info = matchPattern(p, parts);
+      return info && canFillTitle(g, parts, info);
+    })) {
+      return { ...base, status: 'missing-placeholder', pattern };
+    }
+    if (match && match.ruleIndex === index) return { ...base, status: 'matched', pattern: match.pattern };
+    return { ...base, status: matchMode === 'specific' ? 'outranked' : 'shadowed', pattern, winnerIndex: match ? match.ruleIndex : null };
+  });
+
+  const autoRules = normalizeAutoCloseRules(rawAutoClose);
+  const autoClose = autoRules.find(r => autoCloseRuleMatches(r, parts) && isScheduleActive(r.schedule)) || null;
+  const autoCloseRules = autoRules.map(r => {
+    const base = { pattern: r.pattern, delaySeconds: r.delaySeconds, dryRun: r.dryRun, action: r.action, groupTitle: r.groupTitle };
+    if (!patternMatchesUrl(r.pattern, parts)) return { ...base, status: 'no-match' };
+    const excludePattern = r.excludePatterns.find(p => patternMatchesUrl(p, parts));
+    if (excludePattern) return { ...base, status: 'excluded', excludePattern };
+    if (!isScheduleActive(r.schedule)) return { ...base, status: 'off-schedule' };
+    return { ...base, status: r === autoClose ? 'matched' : 'shadowed' };
+  });
+  return { supported: true, match, rules, autoClose, autoCloseRules };
+}
+
+/**
+ * Whether glob g matches every string glob p matches ('*' = any sequence).
+ * Conservative: only recognizes equal globs, a single trailing '*' in g
+ * whose literal prefix p starts with, and literal p tested against g.
+ * @param {string} g
+ * @param {string} p
+ */
+function globCovers(g, p) {
+  if (g === p) return true;
+  const gStar = g.indexOf('*');
+  if (gStar === g.length - 1) {
+    const pStar = p.indexOf('*');
+    return (pStar >= 0 ? p.slice(0, pStar) : p).startsWith(g.slice(0, -1));
+  }
+  return !p.includes('*') && globToRegExp(g).test(p);
+}
+
+/**
+ * Whether pattern q matches every URL pattern p matches. Conservative: a
+ * false result means "not provably covered". 're:' patterns only cover
+ * themselves.
+ * @param {string} q
+ * @param {string} p
+ */
+function patternCovers(q, p) {
+  if (q === p) return true;
+  if (q.startsWith(REGEX_PATTERN_PREFIX) || p.startsWith(REGEX_PATTERN_PREFIX)) return false;
+  const a = parseUrlPattern(q);
+  const b = parseUrlPattern(p);
+  if (!a || !b) return false;
+  if (a.scheme && a.scheme !== '*' && a.scheme !== b.scheme) return false;
+  if (a.host.startsWith('*.')) {
+    const base = a.host.slice(2);
+    const other = b.host.startsWith('*.') ? b.host.slice(2) : b.host;
+    if (!(other.endsWith('.' + base) || (b.host.startsWith('*.') && other === base))) return false;
+  } else if (a.host !== b.host) {
+    return false;
+  }
+  if (a.port && a.port !== '*' && a.port !== b.port) return false;
+  // Paths carry an implicit trailing wildcard; an absent component means "anything"
+  const withStar = (path) => (path.includes('*') ? path : path + '*');
+  if (a.path && !globCovers(withStar(a.path), b.path ? withStar(b.path) : '/*')) return false;
+  if (a.query != null && !globCovers(a.query, b.query != null ? b.query : '*')) return false;
+  if (a.hash != null && !globCovers(a.hash, b.hash != null ? b.hash : '*')) return false;
+  return true;
+}
+
+/**
+ * Lint (possibly unsaved) rules for the options page. Warnings never block
+ * saving; they're shown on the offending group row:
+ *  - a pattern that also appears in another group
+ *  - a pattern fully shadowed by a pattern of a group that wins over it
+ *  - a pattern that overlaps an auto-close rule (grouped, then closed)
+ *  - a group title shared with another row (their groups would be merged)
+ * @param {Array<Object>} rawGroups
+ * @param {Array<string|Object>} rawAutoClose
+ * @param {'first'|'specific'} matchMode
+ * @returns {Array<{index:number, warnings:string[]}>}
+ */
+function lintRules(rawGroups, rawAutoClose, matchMode) {
+  const groups = normalizeGroups(rawGroups);
+  const autoRules = normalizeAutoCloseRules(rawAutoClose);
+  const key = (p) => (p.startsWith(REGEX_PATTERN_PREFIX) ? p : p.toLowerCase());
+  const result = groups.map((g, index) => ({ index, warnings: [] }));
+
+  groups.forEach((g, j) => {
+    if (!isUsableGroup(g)) return;
+    for (const p of g.patterns) {
+      let reported = false;
+      for (let i = 0; i < groups.length && !reported; i++) {
+        const other = groups[i];
+        if (i === j || !isUsableGroup(other)) continue;
+        const dup = other.patterns.find(q => key(q) === key(p));
+        if (dup && i < j) {
+          result[j].warnings.push(`"${p}" also appears in row ${i + 1}, which wins`);
+          reported = true;
+          continue;
+        }
+        // Excludes on the other row may let some of p's URLs through
+        if (other.excludePatterns.some(x => patternCovers(x, p) || patternCovers(p, x))) continue;
+        for (const q of other.patterns) {
+          if (key(q) === key(p) || !patternCovers(q, p)) continue;
+          const order = compareSpecificity(patternSpecificity(q), patternSpecificity(p));
+          const wins = matchMode === 'specific' ? (order > 0 || (order === 0 && i < j)) : i < j;
+          if (wins) {
+            result[j].warnings.push(`"${p}" never applies: "${q}" in row ${i + 1} matches everything it does`);
+            reported = true;
+            break;
+          }
+        }
+      }
+      const closer = autoRules.find(r => isClosingAutoCloseAction(r.action) &&
+        (patternCovers(r.pattern, p) || patternCovers(p, r.pattern)));
+      if (closer) {
+        const verb = g.type === 'pin' ? 'pinned' : 'grouped';
+        result[j].warnings.push(`"${p}" overlaps auto-close rule "${closer.pattern}": tabs may be ${verb} and then closed`);
+      }
+    }
+    if (g.type !== 'pin') {
+      const first = groups.findIndex(o => o.type !== 'pin' && isUsableGroup(o) && o.title === g.title);
+      if (first >= 0 && first < j) {
+        result[j].warnings.push(`Same title as row ${first + 1}: each rule gets its own group, so the window shows two groups with this name`);
+      }
+    }
+  });
+  return result.filter(r => r.warnings.length);
+}
+
+/**
+ * Preview where every open tab would land under the given (possibly
+ * unsaved) rules, mirroring what processTab would do after a Save.
+ * @param {Array<Object>} rawGroups
+ * @param {'first'|'specific'} matchMode
+ */
+async function previewTabs(rawGroups, matchMode) {
+  const groups = normalizeGroups(rawGroups);
+  const [tabs, tabGroups, managed, overrides] = await Promise.all([
+    chrome.tabs.query({}),
+    chrome.tabGroups.query({}),
+    getManagedGroups(),
+    getTabOverrides()
+  ]);
+  // Groups of rules that are removed on Save are released, not ungrouped
+  const ruleIds = new Set(groups.filter(isUsableGroup).map(g => g.id));
+  const groupTitles = new Map(tabGroups.map(g => [g.id, g.title || '']));
+  tabs.sort((a, b) => (a.windowId - b.windowId) || (a.index - b.index));
+  return tabs.map(tab => {
+    const url = tab.url || tab.pendingUrl || '';
+    const parts = url ? getUrlParts(url) : null;
+    const match = parts ? findMatchingGroup(parts, groups, matchMode) : null;
+    const current = tab.pinned
+      ? { type: 'pin' }
+      : tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE
+        ? { type: 'group', title: groupTitles.get(tab.groupId) || '' }
+        : { type: 'none' };
+    let target;
+    if (overrides.has(tab.id) && overrides.get(tab.id).host === overrideHost(tab)) {
+      target = { ...current, overridden: true };
+    } else if (match) {
+      target = { type: match.type, title: match.title, color: match.color, ruleIndex: match.ruleIndex };
+    } else if (current.type === 'group' && managed.has(tab.groupId) && ruleIds.has(managed.get(tab.groupId).ruleId)) {
+      target = { type: 'none' };
+    } else {
+      target = current;
+    }
+    return { tabId: tab.id, windowId: tab.windowId, title: tab.title || url, url, current, target };
+  });
+}
+
+/**
+ * Whether a tab was reopened from the auto-close history and is still on the
+ * same host; forgets it once it navigates elsewhere.
+ * @param {number} tabId
+ * @param {ReturnType<typeof getUrlParts>} parts
+ * @returns {Promise<boolean>}
+ */
+async function isRestoredAutoClosedTab(tabId, parts) {
+  const restored = await getRestoredAutoClosedTabs();
+  if (!restored.has(tabId)) return false;
+  if (restored.get(tabId) === parts.host) return true;
+  restored.delete(tabId);
+  await saveRestoredAutoClosedTabs();
+  return false;
+}
+
+/**
+ * Tabs reopened from the auto-close history, as tabId → host. Kept in
+ * storage.session so the exemption survives the service worker suspending.
+ * @returns {Promise<Map<number,string>>}
+ */
+function getRestoredAutoClosedTabs() {
+  if (!restoredAutoClosedTabsLoad) {
+    restoredAutoClosedTabsLoad = chrome.storage.session.get({ restoredAutoClosedTabs: {} })
+      .then(({ restoredAutoClosedTabs }) => new Map(Object.entries(restoredAutoClosedTabs || {}).map(([id, host]) => [Number(id), host])))
+      .catch(() => new Map());
+  }
+  return restoredAutoClosedTabsLoad;
+}
+
+async function saveRestoredAutoClosedTabs() {
+  const restored = await getRestoredAutoClosedTabs();
+  try {
+    await chrome.storage.session.set({ restoredAutoClosedTabs: Object.fromEntries(restored) });
+  } catch {
+    // ignore write errors
+  }
+}
+
+/**
+ * Ids of the tabs that have been the active tab, for the auto-close "never
+ * active" condition. Kept in storage.session: a tab the user looked at
+ * before the service worker was suspended still counts as seen.
+ * @returns {Promise<Set<number>>}
+ */
+function getActivatedTabs() {
+  if (!activatedTabsLoad) {
+    activatedTabsLoad = chrome.storage.session.get({ activatedTabs: [] })
+      .then(({ activatedTabs }) => new Set(Array.isArray(activatedTabs) ? activatedTabs : []))
+      .catch(() => new Set());
+  }
+  return activatedTabsLoad;
+}
+
+async function saveActivatedTabs() {
+  const activated = await getActivatedTabs();
+  try {
+    await chrome.storage.session.set({ activatedTabs: Array.from(activated) });
+  } catch {
+    // ignore write errors
+  }
+}
+
+async function markTabActivated(tabId) {
+  const activated = await getActivatedTabs();
+  if (activated.has(tabId)) return;
+  activated.add(tabId);
+  await saveActivatedTabs();
+}
+
+/**
+ * Decide whether a tab should be auto-closed and schedule if so.
+ * Schedules a 1s timeout, then revalidates the match and checks the rule's
+ * conditions before acting. Dry-run rules only log and record the tab.
+ * @param {chrome.tabs.Tab} tab
+ */
+async function maybeScheduleAutoClose(tab) {
+  try {
+    if (!tab || tab.id == null) return;
+    if (tab.pinned) return;
+    const url = tab.url || tab.pendingUrl;
+    const parts = url ? getUrlParts(url) : null;
+    if (!parts) return; // only http/https
+    if (await isRestoredAutoClosedTab(tab.id, parts)) return;
+    const rules = await getAutoCloseRules();
+    if (!rules.length) return;
+    // An afterLoad rule is scheduled again when the tab completes loading
+    const match = rules.find(r => autoCloseRuleMatches(r, parts) && isScheduleActive(r.schedule) &&
+      (!r.afterLoad || tab.status === 'complete'));
+    if (!match) return;
+
+    // Clear any existing timer for this tab
+    if (autoCloseTimers.has(tab.id)) {
+      clearTimeout(autoCloseTimers.get(tab.id));
+    }
+    const tId = setTimeout(async () => {
+      autoCloseTimers.delete(tab.id);
+      try {
+        const fresh = await chrome.tabs.get(tab.id);
+        if (!fresh || fresh.pinned) return;
+        const fUrl = fresh.url || fresh.pendingUrl;
+        const fParts = fUrl ? getUrlParts(fUrl) : null;
+        const [latest, activated] = await Promise.all([getAutoCloseRules(), getActivatedTabs()]);
+        const stillRule = fParts && !(await isRestoredAutoClosedTab(fresh.id, fParts)) &&
+          latest.find(r => autoCloseRuleMatches(r, fParts) && isScheduleActive(r.schedule) && autoCloseConditionsMet(r, fresh, activated));
+        if (stillRule && stillRule.dryRun) {
+          console.info(`Auto-close dry run: "${stillRule.pattern}" would ${describeAutoCloseAction(stillRule)}: tab ${fresh.id} (${fUrl})`);
+          await recordAutoClosed([{ tab: fresh, rule: stillRule }], true);
+        } else if (stillRule) {
+          await runAutoCloseAction(fresh, stillRule);
+        }
+      } catch (e) {
+        reportTabOpError(`auto-close tab ${tab.id}`, e);
+      }
+    }, Math.max(1000, (Number(match.delaySeconds) || 1) * 1000));
+    autoCloseTimers.set(tab.id, tId);
+  } catch (e) {
+    reportTabOpError(`schedule auto-close for tab ${tab && tab.id}`, e);
+  }
+}
+
+/**
+ * Queue a matching auto-close rule's action for a tab.
+ * @param {chrome.tabs.Tab} tab
+ * @param {ReturnType<typeof normalizeAutoCloseRules>[number]} rule
+ */
+function runAutoCloseAction(tab, rule) {
+  const windowId = tab.windowId;
+  switch (rule.action) {
+    case 'discard':
+      return enqueueWindowOp(windowId, 'discard', ids => discardTabs(windowId, ids), tab.id);
+    case 'moveToGroup':
+      return enqueueWindowOp(windowId, `auto-close-move:${rule.groupTitle}`,
+        ids => moveTabsToTitledGroup(windowId, rule.groupTitle, ids), tab.id);
+    default:
+      return enqueueWindowOp(windowId, 'auto-close', items => autoCloseTabs(windowId, items),
+        { tabId: tab.id, rule, openerTabId: tab.openerTabId });
+  }
+}
+
+/**
+ * Queue op: close the tabs that are still open in the window, record them in
+ * the auto-close history and offer to undo. For 'focusOpener' rules the
+ * opener tab is activated afterwards, if it's still open.
+ * @param {number} windowId
+ * @param {Array<{tabId:number, rule:Object, openerTabId:?number}>} items
+ */
+async function autoCloseTabs(windowId, items) {
+  const byTab = new Map(items.map(it => [it.tabId, it]));
+  const tabs = (await chrome.tabs.query({ windowId })).filter(t => byTab.has(t.id));
+  if (!tabs.length) return;
+  await chrome.tabs.remove(tabs.map(t => t.id));
+  const entries = await recordAutoClosed(tabs.map(tab => ({ tab, rule: byTab.get(tab.id).rule })), false);
+  await notifyAutoClosed(entries);
+  const opener = tabs.map(t => byTab.get(t.id)).reverse()
+    .find(it => it.rule.action === 'focusOpener' && it.openerTabId != null);
+  if (opener) {
+    try {
+      const tab = await chrome.tabs.update(opener.openerTabId, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+    } catch (e) {
+      reportTabOpError(`focus opener tab ${opener.openerTabId}`, e);
+    }
+  }
+}
+
+/**
+ * Queue op: move tabs to the window's group with the given title, creating
+ * it if there is none. The tabs get a manual override, so rules leave them
+ * there (see recordUserTabChange).
+ * @param {number} windowId
+ * @param {string} title
+ * @param {number[]} tabIds
+ */
+async function moveTabsToTitledGroup(windowId, title, tabIds) {
+  const tabs = (await chrome.tabs.query({ windowId })).filter(t => tabIds.includes(t.id));
+  if (!tabs.length) return;
+  const [group] = (await chrome.tabGroups.query({ windowId })).filter(g => g.title === title);
+  const ids = tabs.filter(t => !group || t.groupId !== group.id).map(t => t.id);
+  if (!ids.length) return;
+  const unpin = tabs.filter(t => t.pinned);
+  for (const t of unpin) await setTabPinned(t.id, false);
+  if (group) {
+    await groupTabs({ tabIds: ids, groupId: group.id });
+  } else {
+    const groupId = await groupTabs({ tabIds: ids, createProperties: { windowId } });
+    await chrome.tabGroups.update(groupId, { title });
+  }
+  const overrides = await getTabOverrides();
+  const at = Date.now();
+  for (const t of tabs) overrides.set(t.id, { host: overrideHost(t), at });
+  await saveTabOverrides();
+}
+
+/**
+ * Add tabs to the auto-close history (storage.local, newest first).
+ * @param {Array<{tab:chrome.tabs.Tab, rule:Object}>} closed
+ * @param {boolean} dryRun whether the tabs were only logged, not closed
+ * @returns {Promise<Array<Object>>} the new history entries
+ */
+async function recordAutoClosed(closed, dryRun) {
+  const closedAt = Date.now();
+  const entries = closed.map(({ tab, rule }) => {
+    const entry = {
+      id: crypto.randomUUID(),
+      url: tab.url || tab.pendingUrl || '',
+      title: tab.title || '',
+      pattern: rule.pattern,
+      action: rule.action,
+      closedAt,
+      windowId: tab.windowId,
+      index: tab.index
+    };
+    if (rule.action === 'moveToGroup') entry.groupTitle = rule.groupTitle;
+    if (dryRun) entry.dryRun = true;
+    return entry;
+  });
+  const { autoCloseHistory } = await chrome.storage.local.get({ autoCloseHistory: [] });
+  await chrome.storage.local.set({
+    autoCloseHistory: entries.concat(Array.isArray(autoCloseHistory) ? autoCloseHistory : []).slice(0, AUTO_CLOSE_HISTORY_LIMIT)
+  });
+  return entries;
+}
+
+/**
+ * Show a notification with an Undo button for auto-closed tabs, if enabled.
+ * @param {Array<Object>} entries auto-close history entries
+ */
+async function notifyAutoClosed(entries) {
+  if (!entries.length || !(await getAutoCloseNotify())) return;
+  const [first] = entries;
+  try {
+    await chrome.notifications.create(AUTO_CLOSE_NOTIFICATION_PREFIX + entries.map(e => e.id).join(','), {
+      type: 'basic',
+      iconUrl: 'icon128.png',
+      title: entries.length === 1 ? 'Closed a tab' : `Closed ${entries.length} tabs`,
+      message: entries.length === 1 ? (first.title || first.url) : entries.map(e => e.title || e.url).join('\n'),
+      contextMessage: `Auto-close "${first.pattern}"`,
+      buttons: [{ title: 'Undo' }]
+    });
+  } catch (e) {
+    console.error('Error showing auto-close notification:', e);
+  }
+}
+
+/**
+ * Reopen auto-closed tabs from the history, in their old window and position
+ * when it's still open, and drop them from the history. Reopened tabs are
+ * exempt from auto-close while they stay on the same host.
+ * @param {string[]} ids history entry ids
+ * @returns {Promise<number>} how many tabs were reopened
+ */
+async function restoreAutoClosed(ids) {
+  const { autoCloseHistory } = await chrome.storage.local.get({ autoCloseHistory: [] });
+  const history = Array.isArray(autoCloseHistory) ? autoCloseHistory : [];
+  const restore = history.filter(e => ids.includes(e.id) && !e.dryRun);
+  if (!restore.length) return 0;
+  const windowIds = new Set((await chrome.windows.getAll()).map(w => w.id));
+  const restored = await getRestoredAutoClosedTabs();
+  for (const entry of restore) {
+    const props = { url: entry.url, active: restore.length === 1 };
+    if (windowIds.has(entry.windowId)) {
+      props.windowId = entry.windowId;
+      props.index = entry.index;
+    }
+    const tab = await chrome.tabs.create(props);
+    const parts = getUrlParts(entry.url);
+    if (parts) restored.set(tab.id, parts.host);
+  }
+  await saveRestoredAutoClosedTabs();
+  // Re-read: other entries may have been added while the tabs were opening
+  const latest = (await chrome.storage.local.get({ autoCloseHistory: [] })).autoCloseHistory;
+  await chrome.storage.local.set({
+    autoCloseHistory: (Array.isArray(latest) ? latest : []).filter(e => !restore.some(r => r.id === e.id))
+  });
+  return restore.length;
+}
+
+/**
+ * Queue op: close the tabs that are still open in the window.
+ * @param {number} windowId
+ * @param {Array<number|number[]>} tabIds
+ */
+async function closeTabs(windowId, tabIds) {
+  const ids = tabIds.flat();
+  const open = (await chrome.tabs.query({ windowId })).filter(t => ids.includes(t.id)).map(t => t.id);
+  if (open.length) await chrome.tabs.remove(open);
+}
+
+/**
+ * Read the duplicate tab settings from storage.sync (see
+ * normalizeDuplicateSettings in schema.js).
+ *  - mode: 'off' | 'mark' (badge duplicates) | 'focus' (close a new duplicate and focus the existing tab)
+ *  - ignoreHash / ignoreTrailingSlash: URL parts that don't make tabs different
+ *  - ignoreQueryParams: query parameter names (with * wildcards) to ignore
+ * @returns {Promise<typeof DEFAULT_DUPLICATES>}
+ */
+async function getDuplicateSettings() {
+  try {
+    const { duplicates } = await chrome.storage.sync.get({ duplicates: null });
+    return normalizeDuplicateSettings(duplicates);
+  } catch {
+    return { ...DEFAULT_DUPLICATES };
+  }
+}
+
+/**
+ * Normalize a URL for duplicate comparison; tabs with the same key are
+ * duplicates. Only http(s) URLs have a key.
+ * @param {string} url
+ * @param {ReturnType<typeof normalizeDuplicateSettings>} settings
+ * @returns {string|null}
+ */
+function duplicateKey(url, settings) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return null;
+  }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+  if (settings.ignoreHash) u.hash = '';
+  if (settings.ignoreQueryParams.length) {
+    const ignored = settings.ignoreQueryParams.map(globToRegExp);
+    for (const name of Array.from(u.searchParams.keys())) {
+      if (ignored.some(re => re.test(name))) u.searchParams.delete(name);
+    }
+  }
+  if (settings.ignoreTrailingSlash && u.pathname.length > 1 && u.pathname.endsWith('/')) {
+    u.pathname = u.pathname.replace(/\/+$/, '');
+  }
+  return u.href;
+}
+
+/**
+ * Open tabs grouped by duplicate key, keeping only keys open more than once.
+ * Tabs matched by a rule with allowDuplicates are exempt.
+ * @param {ReturnType<typeof normalizeDuplicateSettings>} settings
+ * @returns {Promise<chrome.tabs.Tab[][]>} each set sorted oldest (lowest id) first
+ */
+async function findDuplicateSets(settings) {
+  const [tabs, groups, matchMode] = await Promise.all([chrome.tabs.query({}), getGroups(), getMatchMode()]);
+  const byKey = new Map();
+  for (const tab of tabs) {
+    const url = tab.url || tab.pendingUrl || '';
+    const key = url ? duplicateKey(url, settings) : null;
+    if (!key || isDuplicateExempt(url, groups, matchMode)) continue;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(tab);
+  }
+  return Array.from(byKey.values())
+    .filter(set => set.length > 1)
+    .map(set => set.sort((a, b) => a.id - b.id));
+}
+
+function isDuplicateExempt(url, groups, matchMode) {
+  const parts = getUrlParts(url);
+  const match = parts ? findMatchingGroup(parts, groups, matchMode) : null;
+  return Boolean(match && groups[match.ruleIndex].allowDuplicates);
+}
+
+/**
+ * React to a tab opening or navigating: in 'focus' mode a tab that was just
+ * created and duplicates an existing one is closed and the existing tab is
+ * focused instead; older tabs navigating to a duplicate URL are left open
+ * (closing a tab the user is browsing in would lose its history). In
+ * 'mark' mode the badges are refreshed.
+ * @param {chrome.tabs.Tab} tab
+ */
+async function checkDuplicateTab(tab) {
+  try {
+    const settings = await getDuplicateSettings();
+    if (settings.mode === 'mark') {
+      scheduleDuplicateMarks();
+      return;
+    }
+    if (settings.mode !== 'focus' || tab.pinned) return;
+    const createdAt = recentlyCreatedTabs.get(tab.id);
+    if (createdAt == null || Date.now() - createdAt > NEW_TAB_WINDOW_MS) return;
+    const url = tab.url || tab.pendingUrl || '';
+    const key = url ? duplicateKey(url, settings) : null;
+    if (!key) return;
+    const [groups, matchMode, tabs] = await Promise.all([getGroups(), getMatchMode(), chrome.tabs.query({})]);
+    if (isDuplicateExempt(url, groups, matchMode)) return;
+    const existing = tabs
+      .filter(t => t.id !== tab.id && duplicateKey(t.url || t.pendingUrl || '', settings) === key)
+      .sort((a, b) => a.id - b.id)[0];
+    if (!existing) return;
+    recentlyCreatedTabs.delete(tab.id);
+    await chrome.tabs.update(existing.id, { active: true });
+    await chrome.windows.update(existing.windowId, { focused: true });
+    await enqueueWindowOp(tab.windowId, 'close-duplicates', tabIds => closeTabs(tab.windowId, tabIds), tab.id);
+  } catch (e) {
+    reportTabOpError(`check tab ${tab.id} for duplicates`, e);
+  }
+}
+
+/**
+ * Close every duplicate tab, keeping one tab per URL: the active one if a
+ * set has one, otherwise the oldest. Pinned tabs are never closed.
+ * @returns {Promise<number>} how many tabs were closed
+ */
+async function closeAllDuplicates() {
+  const byWindow = await planDuplicateClose();
+  let closed = 0;
+  for (const [windowId, tabIds] of byWindow) {
+    await enqueueWindowOp(windowId, 'close-duplicates', ids => closeTabs(windowId, ids), tabIds);
+    closed += tabIds.length;
+  }
+  return closed;
+}
+
+/**
+ * How many tabs closeAllDuplicates would close.
+ */
+async function countDuplicates() {
+  let count = 0;
+  for (const tabIds of (await planDuplicateClose()).values()) count += tabIds.length;
+  return count;
+}
+
+/**
+ * The duplicate tabs to close, by window.
+ * @returns {Promise<Map<number, number[]>>}
+ */
+async function planDuplicateClose() {
+  const sets = await findDuplicateSets(await getDuplicateSettings());
+  const byWindow = new Map();
+  for (const set of sets) {
+    const keep = set.find(t => t.active) || set.find(t => t.pinned) || set[0];
+    for (const t of set) {
+      if (t === keep || t.pinned) continue;
+      if (!byWindow.has(t.windowId)) byWindow.set(t.windowId, []);
+      byWindow.get(t.windowId).push(t.id);
+    }
+  }
+  return byWindow;
+}
+
+function scheduleDuplicateMarks() {
+  if (duplicateMarksTimer) clearTimeout(duplicateMarksTimer);
+  duplicateMarksTimer = setTimeout(() => {
+    duplicateMarksTimer = null;
+    refreshDuplicateMarks();
+  }, 300);
+}
+
+/**
+ * In 'mark' mode, badge each duplicate tab with how many copies are open
+ * (the toolbar badge is per tab, so it shows while that tab is active).
+ * In other modes every badge is cleared.
+ */
+async function refreshDuplicateMarks() {
+  try {
+    const settings = await getDuplicateSettings();
+    const tabs = await chrome.tabs.query({});
+    const counts = new Map();
+    if (settings.mode === 'mark') {
+      for (const set of await findDuplicateSets(settings)) {
+        for (const t of set) counts.set(t.id, set.length);
+      }
+    }
+    for (const tab of tabs) {
+      const count = counts.get(tab.id);
+      await chrome.action.setBadgeText({ tabId: tab.id, text: count ? String(count) : '' });
+      if (count) await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: '#d93025' });
+    }
+  } catch (e) {
+    reportTabOpError('mark duplicate tabs', e);
+  }
+}
+
+// Periodic alarm that runs the lifecycle cleanups
+const LIFECYCLE_ALARM = 'tab-lifecycle';
+// Archived tabs kept in storage.local, newest first
+const TAB_ARCHIVE_LIMIT = 500;
+
+/**
+ * Read the tab lifecycle settings from storage.sync (see
+ * normalizeLifecycleSettings in schema.js).
+ *  - discardGroupedAfterMinutes: discard grouped tabs unused this long (0 = off)
+ *  - staleUngroupedAfterDays: close or archive ungrouped tabs unused this long (0 = off)
+ *  - staleAction: 'close' | 'archive' (close, remembering the tab in the archive)
+ *  - protectedPatterns: URL patterns that are never discarded or closed
+ * @returns {Promise<typeof DEFAULT_LIFECYCLE>}
+ */
+async function getLifecycleSettings() {
+  try {
+    const { lifecycle } = await chrome.storage.sync.get({ lifecycle: null });
+    return normalizeLifecycleSettings(lifecycle);
+  } catch {
+    return { ...DEFAULT_LIFECYCLE };
+  }
+}
+
+/**
+ * Create the periodic lifecycle alarm when a cleanup is enabled, or clear it.
+ * Alarms persist while the service worker is suspended, unlike timeouts.
+ */
+async function syncLifecycleAlarm() {
+  const settings = await getLifecycleSettings();
+  if (settings.discardGroupedAfterMinutes || settings.staleUngroupedAfterDays) {
+    const existing = await chrome.alarms.get(LIFECYCLE_ALARM);
+    if (!existing) await chrome.alarms.create(LIFECYCLE_ALARM, { periodInMinutes: 1 });
+  } else {
+    await chrome.alarms.clear(LIFECYCLE_ALARM);
+  }
+}
+
+/**
+ * Discard idle grouped tabs and close (or archive) stale ungrouped ones,
+ * going by each tab's lastAccessed time. Pinned, audible and active tabs,
+ * and tabs matching a protected pattern, are exempt.
+ */
+async function runLifecycle() {
+  const settings = await getLifecycleSettings();
+  if (!settings.discardGroupedAfterMinutes && !settings.staleUngroupedAfterDays) return;
+  const tabs = await chrome.tabs.query({});
+  const now = Date.now();
+  const discard = new Map();
+  const stale = new Map();
+  const add = (byWindow, tab) => {
+    if (!byWindow.has(tab.windowId)) byWindow.set(tab.windowId, []);
+    byWindow.get(tab.windowId).push(tab.id);
+  };
+  for (const tab of tabs) {
+    if (tab.pinned || tab.audible || tab.active || !tab.lastAccessed) continue;
+    const parts = getUrlParts(tab.url || tab.pendingUrl || '');
+    if (!parts || settings.protectedPatterns.some(p => patternMatchesUrl(p, parts))) continue;
+    const idle = now - tab.lastAccessed;
+    if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
+      if (settings.discardGroupedAfterMinutes && !tab.discarded && idle > settings.discardGroupedAfterMinutes * 60000) {
+        add(discard, tab);
+      }
+    } else if (settings.staleUngroupedAfterDays && idle > settings.staleUngroupedAfterDays * 86400000) {
+      add(stale, tab);
+    }
+  }
+  for (const [windowId, tabIds] of discard) {
+    await enqueueWindowOp(windowId, 'discard', ids => discardTabs(windowId, ids), tabIds);
+  }
+  for (const [windowId, tabIds] of stale) {
+    await enqueueWindowOp(windowId, 'close-stale',
+      ids => (settings.staleAction === 'archive' ? archiveTabs(windowId, ids) : closeTabs(windowId, ids)), tabIds);
+  }
+}
+
+/**
+ * Queue op: discard the tabs still in the window that aren't active by now.
+ * @param {number} windowId
+ * @param {Array<number|number[]>} tabIds
+ */
+async function discardTabs(windowId, tabIds) {
+  const ids = tabIds.flat();
+  const tabs = (await chrome.tabs.query({ windowId })).filter(t => ids.includes(t.id) && !t.active && !t.discarded);
+  for (const t of tabs) {
+    try {
+      await chrome.tabs.discard(t.id);
+    } catch (e) {
+      // Chrome refuses some tabs (e.g. with unsaved form data); keep going
+      if (isTabsBusyError(e)) throw e;
+      reportTabOpError(`discard tab ${t.id} in window ${windowId}`, e);
+    }
+  }
+}
+
+/**
+ * Queue op: remember the tabs in the archive (storage.local), then close them.
+ * @param {number} windowId
+ * @param {Array<number|number[]>} tabIds
+ */
+async function archiveTabs(windowId, tabIds) {
+  const ids = tabIds.flat();
+  const tabs = (await chrome.tabs.query({ windowId })).filter(t => ids.includes(t.id));
+  if (!tabs.length) return;
+  const { tabArchive } = await chrome.storage.local.get({ tabArchive: [] });
+  const archivedAt = Date.now();
+  const entries = tabs.map(t => ({ url: t.url || t.pendingUrl || '', title: t.title || '', archivedAt }));
+  await chrome.storage.local.set({
+    tabArchive: entries.concat(Array.isArray(tabArchive) ? tabArchive : []).slice(0, TAB_ARCHIVE_LIMIT)
+  });
+  await chrome.tabs.remove(tabs.map(t => t.id));
+}
+
+// Fires every snapshotEveryMinutes to take a session snapshot
+const SESSION_SNAPSHOT_ALARM = 'session-snapshot';
+// Automatic session snapshots kept in storage.local; manual ones are kept until deleted
+const SESSION_SNAPSHOT_LIMIT = 20;
+let windowStateTimer = null;
+
+/**
+ * Read the session snapshot settings from storage.sync (see
+ * normalizeSessionSettings in schema.js).
+ * @returns {Promise<typeof DEFAULT_SESSION_SETTINGS>}
+ */
+async function getSessionSettings() {
+  try {
+    const { sessions } = await chrome.storage.sync.get({ sessions: null });
+    return normalizeSessionSettings(sessions);
+  } catch {
+    return { ...DEFAULT_SESSION_SETTINGS };
+  }
+}
+
+async function syncSessionSnapshotAlarm() {
+  const { snapshotEveryMinutes } = await getSessionSettings();
+  const existing = await chrome.alarms.get(SESSION_SNAPSHOT_ALARM);
+  if (!snapshotEveryMinutes) {
+    if (existing) await chrome.alarms.clear(SESSION_SNAPSHOT_ALARM);
+  } else if (!existing || existing.periodInMinutes !== snapshotEveryMinutes) {
+    await chrome.alarms.create(SESSION_SNAPSHOT_ALARM, { periodInMinutes: snapshotEveryMinutes });
+  }
+}
+
+/**
+ * The normal windows' tabs and groups, in tab strip order:
+ *   Array<{
+ *     windowId: number,
+ *     tabs: Array<{ url: string, title: string, pinned: boolean, group?: number }>, // group: index in groups
+ *     groups: Array<{ title: string, color: string, collapsed: boolean }>
+ *   }>
+ * Incognito windows are left out.
+ */
+async function captureWindowStates() {
+  const [windows, tabs, groups] = await Promise.all([
+    chrome.windows.getAll({ windowTypes: ['normal'] }),
+    chrome.tabs.query({}),
+    chrome.tabGroups.query({})
+  ]);
+  const states = [];
+  for (const w of windows) {
+    if (w.incognito) continue;
+    const state = { windowId: w.id, tabs: [], groups: [] };
+    const groupIndex = new Map();
+    for (const t of tabs.filter(t => t.windowId === w.id).sort((a, b) => a.index - b.index)) {
+      const url = t.url || t.pendingUrl;
+      if (!url) continue;
+      const entry = { url, title: t.title || '', pinned: Boolean(t.pinned) };
+      const group = t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && groups.find(g => g.id === t.groupId);
+      if (group) {
+        if (!groupIndex.has(group.id)) {
+          groupIndex.set(group.id, state.groups.length);
+          state.groups.push({ title: group.title || '', color: group.color, collapsed: Boolean(group.collapsed) });
+        }
+        entry.group = groupIndex.get(group.id);
+      }
+      state.tabs.push(entry);
+    }
+    if (state.tabs.length) states.push(state);
+  }
+  return states;
+}
+
+/**
+ * Keep the latest state of every window in storage.session, debounced: when
+ * a window closes its tabs are already gone, so the snapshot taken then
+ * comes from here.
+ */
+function scheduleWindowStateCapture() {
+  clearTimeout(windowStateTimer);
+  windowStateTimer = setTimeout(async () => {
+    try {
+      const states = await captureWindowStates();
+      await chrome.storage.session.set({ windowStates: Object.fromEntries(states.map(s => [s.windowId, s])) });
+    } catch (e) {
+      console.error('Error capturing window states:', e);
+    }
+  }, 2000);
+}
+
+/**
+ * Store a session snapshot (storage.local `sessionSnapshots`, newest first):
+ *   { id, createdAt, trigger: 'manual'|'scheduled'|'windowClosed', windows }
+ * with windows as captureWindowStates describes them, minus window ids.
+ * Automatic snapshots identical to the newest snapshot are skipped.
+ * @param {'manual'|'scheduled'|'windowClosed'} trigger
+ * @param {Array<Object>} states
+ * @returns {Promise<Object|null>} the snapshot, or null if skipped
+ */
+async function addSessionSnapshot(trigger, states) {
+  const windows = states.map(({ tabs, groups }) => ({ tabs, groups }));
+  if (!windows.length) return null;
+  const { sessionSnapshots } = await chrome.storage.local.get({ sessionSnapshots: [] });
+  const snapshots = Array.isArray(sessionSnapshots) ? sessionSnapshots : [];
+  if (trigger !== 'manual' && snapshots.length && JSON.stringify(snapshots[0].windows) === JSON.stringify(windows)) {
+    return null;
+  }
+  const snapshot = { id: crypto.randomUUID(), createdAt: Date.now(), trigger, windows };
+  let automatic = 0;
+  const kept = [snapshot, ...snapshots].filter(s => s.trigger === 'manual' || ++automatic <= SESSION_SNAPSHOT_LIMIT);
+  await chrome.storage.local.set({ sessionSnapshots: kept });
+  return snapshot;
+}
+
+/**
+ * Snapshot every open window now.
+ * @param {'manual'|'scheduled'} trigger
+ */
+async function takeSessionSnapshot(trigger) {
+  return addSessionSnapshot(trigger, await captureWindowStates());
+}
+
+/**
+ * Snapshot a window that just closed, from its last captured state, if it
+ * had any groups or pinned tabs to lose.
+ * @param {number} windowId
+ */
+async function snapshotClosedWindow(windowId) {
+  const { windowStates } = await chrome.storage.session.get({ windowStates: {} });
+  const state = windowStates[windowId];
+  if (!state) return;
+  delete windowStates[windowId];
+  await chrome.storage.session.set({ windowStates });
+  if (!state.groups.length && !state.tabs.some(t => t.pinned)) return;
+  if ((await getSessionSettings()).snapshotOnWindowClose) await addSessionSnapshot('windowClosed', [state]);
+}
+
+// Pages tabs.create can open again
+function isRestorableUrl(url) {
+  return /^(https?|file|ftp):/i.test(url) || url === 'chrome://newtab/';
+}
+
+/**
+ * Reopen a session snapshot: each of its windows in a new window, or all of
+ * them merged into an existing window. Tabs are reopened in order with their
+ * pinned state. Groups the user made (no rule matches their tabs) are
+ * recreated with their title, color and collapsed state; every tab then
+ * goes through processTab, so rule groups and pins follow the current rules.
+ * @param {string} id
+ * @param {number=} intoWindowId merge into this window instead
+ * @returns {Promise<number>} how many tabs were reopened
+ */
+async function restoreSessionSnapshot(id, intoWindowId) {
+  const { sessionSnapshots } = await chrome.storage.local.get({ sessionSnapshots: [] });
+  const snapshot = (Array.isArray(sessionSnapshots) ? sessionSnapshots : []).find(s => s.id === id);
+  if (!snapshot) throw new Error('That snapshot no longer exists');
+  const [rules, matchMode] = await Promise.all([getGroups(), getMatchMode()]);
+  let restored = 0;
+  for (const state of snapshot.windows) {
+    const entries = state.tabs.filter(t => isRestorableUrl(t.url));
+    if (!entries.length) continue;
+    let windowId = intoWindowId;
+    let blankTabId = null;
+    if (windowId == null) {
+      const win = await chrome.windows.create({ focused: true });
+      windowId = win.id;
+      blankTabId = win.tabs && win.tabs.length ? win.tabs[0].id : null;
+    }
+    const tabs = [];
+    for (const entry of entries) {
+      tabs.push(await chrome.tabs.create({ windowId, url: entry.url, pinned: entry.pinned, active: false }));
+    }
+    if (blankTabId != null) {
+      await chrome.tabs.update(tabs[0].id, { active: true });
+      await chrome.tabs.remove(blankTabId);
+    }
+    state.groups.forEach((group, index) => {
+      const tabIds = tabs.filter((tab, i) => {
+        const parts = entries[i].group === index ? getUrlParts(entries[i].url) : null;
+        return entries[i].group === index && !(parts && findMatchingGroup(parts, rules, matchMode));
+      }).map(tab => tab.id);
+      if (!tabIds.length) return;
+      enqueueWindowOp(windowId, `restore-group:${snapshot.id}:${index}`, async () => {
+        const groupId = await groupTabs({ tabIds, createProperties: { windowId } });
+        await chrome.tabGroups.update(groupId, { title: group.title, color: group.color, collapsed: group.collapsed });
+      });
+    });
+    for (const tab of tabs) processTab(tab);
+    restored += tabs.length;
+  }
+  return restored;
+}
+
+// Linked bookmark folders: a grouping rule's optional `bookmarkFolder` names
+// a folder kept in step with the rule's group. Folders are found by title,
+// since bookmark ids differ on every computer; a folder shared by teammates
+// links for anyone whose rule names it. Needs the optional "bookmarks"
+// permission, granted on the options page.
+const BOOKMARK_NOTIFICATION_ID = 'bookmark-folder';
+let bookmarkSyncTimer = null;
+let bookmarkSyncRun = Promise.resolve();
+let bookmarkListenersAdded = false;
+// A closing window takes its tabs along; that doesn't remove their bookmarks
+let windowClosedSinceBookmarkSync = false;
+
+/**
+ * Whether the optional "bookmarks" permission has been granted.
+ * @returns {Promise<boolean>}
+ */
+async function hasBookmarksAccess() {
+  try {
+    return Boolean(chrome.bookmarks) && await chrome.permissions.contains({ permissions: ['bookmarks'] });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a normalized rule keeps its group in a bookmark folder. Only group
+ * rules with a fixed title have a single group to keep.
+ * @param {{type:string,title:string,bookmarkFolder:string}} rule
+ */
+function isBookmarkLinked(rule) {
+  return rule.type === 'group' && Boolean(rule.bookmarkFolder) && !isTitleTemplate(rule.title);
+}
+
+// Pages that go into linked folders; new tab and browser pages stay out
+function isBookmarkableUrl(url) {
+  return /^(https?|file|ftp):/i.test(url || '');
+}
+
+function tabUrl(tab) {
+  return tab.url || tab.pendingUrl || '';
+}
+
+/**
+ * Find a bookmark folder by title, trying the id it had at the last sync
+ * first. Otherwise the first match in bookmark tree order wins.
+ * @param {string} title
+ * @param {string=} knownId
+ * @returns {Promise<chrome.bookmarks.BookmarkTreeNode|null>}
+ */
+async function findBookmarkFolder(title, knownId) {
+  if (knownId) {
+    try {
+      const [node] = await chrome.bookmarks.get(knownId);
+      if (node && !node.url && node.title === title) return node;
+    } catch {
+      // removed since
+    }
+  }
+  const stack = await chrome.bookmarks.getTree();
+  while (stack.length) {
+    const node = stack.shift();
+    if (node.url) continue;
+    // The root and its top-level folders can't be linked
+    if (node.parentId && node.parentId !== '0' && node.title === title) return node;
+    if (node.children) stack.unshift(...node.children);
+  }
+  return null;
+}
+
+/**
+ * A rule's folder, created in "Other bookmarks" if there is none yet.
+ * @param {string} title
+ * @param {string=} knownId
+ */
+async function getBookmarkFolder(title, knownId) {
+  return (await findBookmarkFolder(title, knownId)) || chrome.bookmarks.create({ title });
+}
+
+/**
+ * Store a folder link on a rule, e.g. when the command saves a group whose
+ * rule has none yet.
+ * @param {string} ruleId
+ * @param {string} folder
+ */
+async function linkRuleToBookmarkFolder(ruleId, folder) {
+  const { groupingRules } = await loadRuleData({ groupingRules: [] });
+  await saveRuleData({
+    groupingRules: normalizeGroupingRules(groupingRules).map(g => (g.id === ruleId ? { ...g, bookmarkFolder: folder } : g))
+  });
+}
+
+function scheduleBookmarkSync() {
+  clearTimeout(bookmarkSyncTimer);
+  bookmarkSyncTimer = setTimeout(() => {
+    // One sync at a time: a sync's own bookmark and tab changes schedule the next
+    bookmarkSyncRun = bookmarkSyncRun
+      .then(syncBookmarkFolders)
+      .catch(e => console.error('Error syncing bookmark folders:', e));
+  }, 1000);
+}
+
+/**
+ * Reconcile every linked rule's groups with its folder. What each side has
+ * at the last sync is kept in storage.local `bookmarkSync` as
+ * ruleId → { folder, folderId, urls, groupOpen }; see reconcileBookmarkFolder.
+ */
+async function syncBookmarkFolders() {
+  const windowClosed = windowClosedSinceBookmarkSync;
+  windowClosedSinceBookmarkSync = false;
+  if (!(await hasBookmarksAccess())) return;
+  const [rules, managed, tabs, { bookmarkSync }] = await Promise.all([
+    getGroups(),
+    getManagedGroups(),
+    chrome.tabs.query({}),
+    chrome.storage.local.get({ bookmarkSync: {} })
+  ]);
+  const openUrls = new Set(tabs.map(tabUrl));
+  const ruleTabs = new Map();
+  for (const tab of tabs.sort((a, b) => a.windowId - b.windowId || a.index - b.index)) {
+    const entry = managed.get(tab.groupId);
+    if (!entry || tab.incognito) continue;
+    if (!ruleTabs.has(entry.ruleId)) ruleTabs.set(entry.ruleId, []);
+    ruleTabs.get(entry.ruleId).push(tab);
+  }
+  const state = {};
+  for (const rule of rules.filter(isBookmarkLinked)) {
+    const previous = bookmarkSync[rule.id];
+    // A rule linked to another folder starts over
+    const last = previous && previous.folder === rule.bookmarkFolder ? previous : null;
+    try {
+      state[rule.id] = await reconcileBookmarkFolder(rule, last, ruleTabs.get(rule.id) || [], openUrls, windowClosed);
+    } catch (e) {
+      console.error(`Error syncing bookmark folder "${rule.bookmarkFolder}":`, e);
+      if (last) state[rule.id] = last;
+    }
+  }
+  await chrome.storage.local.set({ bookmarkSync: state });
+}
+
+/**
+ * Apply the changes made on either side since the last sync to the other:
+ *  - bookmarks added to the folder open in the rule's group; removed ones
+ *    close their tabs in it
+ *  - pages opened in the group are bookmarked; a page's bookmark is removed
+ *    once no tab shows it any more (closed, or navigated away). A tab that
+ *    just leaves the group, or whose window closes, keeps its bookmark.
+ * While the rule has no open group the folder is taken as it is. The first
+ * sync after linking, or after a sync that found no open group, merges the
+ * two: the group's pages are bookmarked and the folder's bookmarks open in
+ * the group, and nothing is removed. Until then the group has no pages of
+ * its own to compare with, so every page it lacks would count as removed.
+ * @param {Object} rule normalized, linked rule
+ * @param {{folderId:string, urls:string[], groupOpen?:boolean}|null} last state at the last sync
+ * @param {chrome.tabs.Tab[]} tabs the tabs in the rule's groups
+ * @param {Set<string>} openUrls every open tab's URL
+ * @param {boolean} windowClosed a window closed since the last sync
+ * @returns {Promise<{folder:string, folderId:string, urls:string[], groupOpen:boolean}>} the new state
+ */
+async function reconcileBookmarkFolder(rule, last, tabs, openUrls, windowClosed) {
+  const folder = await getBookmarkFolder(rule.bookmarkFolder, last && last.folderId);
+  const bookmarks = (await chrome.bookmarks.getChildren(folder.id)).filter(b => isBookmarkableUrl(b.url));
+  const folderUrls = [...new Set(bookmarks.map(b => b.url))];
+  const state = { folder: rule.bookmarkFolder, folderId: folder.id, urls: folderUrls, groupOpen: false };
+  if (!tabs.length) return state;
+  // Pages still loading may yet redirect; they're picked up once loaded
+  const groupUrls = [...new Set(tabs.filter(t => t.status !== 'loading').map(tabUrl).filter(isBookmarkableUrl))];
+  // Without a last sync that saw the group, nothing counts as removed, on either side
+  const base = new Set(last && last.groupOpen ? last.urls : []);
+  const groupAdded = groupUrls.filter(u => !base.has(u) && !folderUrls.includes(u));
+  const groupRemoved = windowClosed ? [] : [...base].filter(u => !groupUrls.includes(u) && !openUrls.has(u));
+  const folderAdded = folderUrls.filter(u => !base.has(u) && !tabs.some(t => tabUrl(t) === u));
+  const folderRemoved = [...base].filter(u => !folderUrls.includes(u));
+
+  for (const b of bookmarks.filter(b => groupRemoved.includes(b.url))) {
+    await chrome.bookmarks.remove(b.id);
+  }
+  for (const url of groupAdded) {
+    const tab = tabs.find(t => t.status !== 'loading' && tabUrl(t) === url);
+    await chrome.bookmarks.create({ parentId: folder.id, title: tab.title || url, url });
+  }
+  const closing = tabs.filter(t => folderRemoved.includes(tabUrl(t))).map(t => t.id);
+  if (closing.length) await chrome.tabs.remove(closing);
+  if (folderAdded.length) await openInRuleGroup(rule, tabs[0].windowId, folderAdded);
+  state.urls = folderUrls.filter(u => !groupRemoved.includes(u)).concat(groupAdded);
+  state.groupOpen = true;
+  return state;
+}
+
+/**
+ * Open pages in a window's group for a rule, creating the group with the
+ * rule's title and color if the window has none. Pages from the folder
+ * don't have to match the rule's patterns: those tabs get an override (see
+ * checkTabOverride) so the rules leave them in the group.
+ * @param {Object} rule normalized rule
+ * @param {number} windowId
+ * @param {string[]} urls
+ * @returns {Promise<number>} how many tabs were opened
+ */
+async function openInRuleGroup(rule, windowId, urls) {
+  const [rules, matchMode, overrides] = await Promise.all([getGroups(), getMatchMode(), getTabOverrides()]);
+  const tabs = [];
+  for (const url of urls) {
+    const tab = await chrome.tabs.create({ windowId, url, active: false });
+    const parts = getUrlParts(url);
+    const match = parts ? findMatchingGroup(parts, rules, matchMode) : null;
+    if (!match || match.ruleId !== rule.id) overrides.set(tab.id, { host: parts ? parts.host : '', at: Date.now() });
+    tabs.push(tab);
+  }
+  await saveTabOverrides();
+  const tabIds = tabs.map(t => t.id);
+  await enqueueWindowOp(windowId, `bookmark-folder:${rule.id}:${tabIds[0]}`, async () => {
+    const [windowGroups, managed] = await Promise.all([chrome.tabGroups.query({ windowId }), getManagedGroups()]);
+    const existing = findManagedGroups(windowGroups, managed, { ruleId: rule.id, groupKey: '' })[0];
+    if (existing) {
+      await groupTabs({ tabIds, groupId: existing.id });
+    } else {
+      const groupId = await groupTabs({ tabIds, createProperties: { windowId } });
+      managed.set(groupId, { ruleId: rule.id, key: '', title: rule.title });
+      await saveManagedGroups();
+      await chrome.tabGroups.update(groupId, { title: rule.title, color: rule.color });
+    }
+    scheduleOrganizeWindow(windowId);
+  });
+  return tabs.length;
+}
+
+/**
+ * Open a linked rule's folder in a window: its pages that aren't open in
+ * the window's group for the rule join it, and the group is created with
+ * the rule's title and color if needed.
+ * @param {string} ruleId
+ * @param {number} windowId
+ * @returns {Promise<number>} how many tabs were opened
+ */
+async function openBookmarkFolder(ruleId, windowId) {
+  if (!(await hasBookmarksAccess())) throw new Error('Allow bookmark access on the options page first');
+  const rule = (await getGroups()).find(g => g.id === ruleId);
+  if (!rule || !isBookmarkLinked(rule)) throw new Error('That rule has no bookmark folder');
+  const { bookmarkSync } = await chrome.storage.local.get({ bookmarkSync: {} });
+  const last = bookmarkSync[ruleId];
+  const folder = await findBookmarkFolder(rule.bookmarkFolder, last && last.folderId);
+  if (!folder) throw new Error(`There is no bookmark folder named "${rule.bookmarkFolder}"`);
+  const [bookmarks, tabs, managed] = await Promise.all([
+    chrome.bookmarks.getChildren(folder.id),
+    chrome.tabs.query({ windowId }),
+    getManagedGroups()
+  ]);
+  const open = new Set(tabs.filter(t => (managed.get(t.groupId) || {}).ruleId === ruleId).map(tabUrl));
+  const urls = [...new Set(bookmarks.map(b => b.url).filter(isBookmarkableUrl))].filter(u => !open.has(u));
+  const opened = urls.length ? await openInRuleGroup(rule, windowId, urls) : 0;
+  scheduleBookmarkSync();
+  return opened;
+}
+
+/**
+ * Save a rule group's pages to its rule's folder, linking the rule to a
+ * folder named after its title first if it has none. Pages already in the
+ * folder are skipped and nothing is removed from it.
+ * @param {number} groupId
+ * @returns {Promise<{folder:string, added:number}>}
+ */
+async function saveGroupToBookmarks(groupId) {
+  if (!(await hasBookmarksAccess())) throw new Error('Allow bookmark access on the options page first');
+  const entry = (await getManagedGroups()).get(groupId);
+  const rule = entry && (await getGroups()).find(g => g.id === entry.ruleId);
+  if (!rule) throw new Error('Only groups made by a grouping rule can be saved to a bookmark folder');
+  if (isTitleTemplate(rule.title)) throw new Error('Rules with a title template can\'t have a bookmark folder');
+  if (!rule.bookmarkFolder) {
+    rule.bookmarkFolder = rule.title;
+    await linkRuleToBookmarkFolder(rule.id, rule.bookmarkFolder);
+  }
+  const { bookmarkSync } = await chrome.storage.local.get({ bookmarkSync: {} });
+  const last = bookmarkSync[rule.id];
+  const folder = await getBookmarkFolder(rule.bookmarkFolder, last && last.folderId);
+  const [bookmarks, tabs] = await Promise.all([chrome.bookmarks.getChildren(folder.id), chrome.tabs.query({ groupId })]);
+  const saved = new Set(bookmarks.map(b => b.url));
+  let added = 0;
+  for (const tab of tabs.sort((a, b) => a.index - b.index)) {
+    const url = tabUrl(tab);
+    if (!isBookmarkableUrl(url) || saved.has(url)) continue;
+    saved.add(url);
+    await chrome.bookmarks.create({ parentId: folder.id, title: tab.title || url, url });
+    added++;
+  }
+  scheduleBookmarkSync();
+  return { folder: rule.bookmarkFolder, added };
+}
+
+/**
+ * Bookmark events can only be listened to once the permission is granted:
+ * at startup when it already is, or when the options page grants it.
+ */
+function addBookmarkListeners() {
+  if (bookmarkListenersAdded || !chrome.bookmarks) return;
+  bookmarkListenersAdded = true;
+  chrome.bookmarks.onCreated.addListener(scheduleBookmarkSync);
+  chrome.bookmarks.onRemoved.addListener(scheduleBookmarkSync);
+  chrome.bookmarks.onChanged.addListener(scheduleBookmarkSync);
+  chrome.bookmarks.onMoved.addListener(scheduleBookmarkSync);
+}
+
+// Result of the keyboard command, which has no page to report to
+async function notifyBookmarkFolder(title, message) {
+  try {
+    await chrome.notifications.create(BOOKMARK_NOTIFICATION_ID, { type: 'basic', iconUrl: 'icon128.png', title, message });
+  } catch (e) {
+    console.error('Error showing bookmark notification:', e);
+  }
+}
+
+/**
+ * Registry of the groups this extension created or adopted, as
+ * Chrome group id → { ruleId, key, title }: the rule the group belongs to,
+ * its groupKey (see buildGroupMatch) and the title we last gave it. Kept in
+ * storage.session so it survives service worker restarts but not browser
+ * restarts, where group ids change; rebuildManagedGroups recovers it then.
+ * @returns {Promise<Map<number,{ruleId:string,key:string,title:string}>>}
+ */
+async function getManagedGroups() {
+  // Don't let a sweep or tab event create groups next to ones about to be adopted
+  if (managedGroupsRebuild) await managedGroupsRebuild;
+  return loadManagedGroups();
+}
+
+function loadManagedGroups() {
+  if (!managedGroupsLoad) {
+    managedGroupsLoad = chrome.storage.session.get({ managedGroups: {} })
+      .then(({ managedGroups }) => new Map(Object.entries(managedGroups || {}).map(([id, entry]) => [Number(id), entry])))
+      .catch(() => new Map());
+  }
+  return managedGroupsLoad;
+}
+
+async function saveManagedGroups() {
+  const managed = await loadManagedGroups();
+  try {
+    await chrome.storage.session.set({ managedGroups: Object.fromEntries(managed) });
+  } catch {
+    // ignore write errors
+  }
+}
+
+/**
+ * Whether a registry entry belongs to the same rule group as a match.
+ * @param {{ruleId:string,key:string}|undefined} entry
+ * @param {{ruleId:string,groupKey:string}} match
+ */
+function isSameManagedGroup(entry, match) {
+  return Boolean(entry) && entry.ruleId === match.ruleId && entry.key === match.groupKey;
+}
+
+/**
+ * A window's live groups that belong to a match's rule group, oldest first.
+ * @param {chrome.tabGroups.TabGroup[]} windowGroups
+ * @param {Map<number,Object>} managed
+ * @param {{ruleId:string,groupKey:string}} match
+ */
+function findManagedGroups(windowGroups, managed, match) {
+  return windowGroups.filter(g => isSameManagedGroup(managed.get(g.id), match)).sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Bring a managed group's color and title in line with its rule. The title
+ * is only rewritten when the rule renders a different one than last time
+ * (the rule was renamed), so renames made in Chrome's own UI stick.
+ * @param {chrome.tabGroups.TabGroup} group
+ * @param {{title:string,color:string}} match
+ * @param {Map<number,Object>} managed
+ */
+async function syncManagedGroup(group, match, managed) {
+  const entry = managed.get(group.id);
+  const update = {};
+  if (group.color !== match.color) update.color = match.color;
+  if (entry && entry.title !== match.title) {
+    update.title = match.title;
+    entry.title = match.title;
+    await saveManagedGroups();
+  }
+  if (Object.keys(update).length) {
+    await chrome.tabGroups.update(group.id, update);
+  }
+}
+
+/**
+ * Recover the registry after a browser restart or extension reload: adopt
+ * each live group whose title is exactly what the rule matching one of its
+ * tabs would render. Groups the user renamed are left alone.
+ */
+function rebuildManagedGroups() {
+  if (!managedGroupsRebuild) {
+    managedGroupsRebuild = adoptManagedGroups().finally(() => {
+      managedGroupsRebuild = null;
+    });
+  }
+  return managedGroupsRebuild;
+}
+
+async function adoptManagedGroups() {
+  try {
+    const [groups, matchMode, tabs, tabGroups, managed] = await Promise.all([
+      getGroups(),
+      getMatchMode(),
+      chrome.tabs.query({}),
+      chrome.tabGroups.query({}),
+      loadManagedGroups()
+    ]);
+    managed.clear();
+    for (const g of tabGroups) {
+      for (const tab of tabs) {
+        if (tab.groupId !== g.id) continue;
+        const url = tab.url || tab.pendingUrl;
+        const parts = url ? getUrlParts(url) : null;
+        const match = parts ? findMatchingGroup(parts, groups, matchMode) : null;
+        if (match && match.type === 'group' && match.title === g.title) {
+          managed.set(g.id, { ruleId: match.ruleId, key: match.groupKey, title: match.title });
+          break;
+        }
+      }
+    }
+    await saveManagedGroups();
+  } catch (e) {
+    console.error('Error rebuilding managed groups:', e);
+  }
+}
+
+/**
+ * Manual overrides: tabs the user moved out of (or into) a rule's group, or
+ * pinned/unpinned against a rule, as tabId → { host, at }. Rules leave these
+ * tabs alone until they navigate to another host or the user re-applies
+ * rules. Tab ids only live for a browser session, like storage.session.
+ * @returns {Promise<Map<number,{host:string,at:number}>>}
+ */
+function getTabOverrides() {
+  if (!tabOverridesLoad) {
+    tabOverridesLoad = chrome.storage.session.get({ tabOverrides: {} })
+      .then(({ tabOverrides }) => new Map(Object.entries(tabOverrides || {}).map(([id, entry]) => [Number(id), entry])))
+      .catch(() => new Map());
+  }
+  return tabOverridesLoad;
+}
+
+async function saveTabOverrides() {
+  const overrides = await getTabOverrides();
+  try {
+    await chrome.storage.session.set({ tabOverrides: Object.fromEntries(overrides) });
+  } catch {
+    // ignore write errors
+  }
+}
+
+/**
+ * The host an override is tied to; '' for URLs without one.
+ * @param {chrome.tabs.Tab} tab
+ */
+function overrideHost(tab) {
+  const url = tab.url || tab.pendingUrl;
+  const parts = url ? getUrlParts(url) : null;
+  return parts ? parts.host : '';
+}
+
+/**
+ * Whether rules should leave a tab alone. An override for a tab that has
+ * since navigated to another host is dropped.
+ * @param {chrome.tabs.Tab} tab
+ * @param {Map<number,{host:string}>} overrides
+ * @returns {boolean} true when the override still applies
+ */
+function checkTabOverride(tab, overrides) {
+  const override = overrides.get(tab.id);
+  if (!override) return false;
+  if (override.host === overrideHost(tab)) return true;
+  overrides.delete(tab.id);
+  return false;
+}
+
+/**
+ * Record an override when the user changes a tab's group or pinned state in
+ * a way the rules would undo. Putting a tab back where its rule wants it
+ * clears the override instead.
+ * @param {chrome.tabs.Tab} tab the tab after the change
+ */
+async function recordUserTabChange(tab) {
+  try {
+    const url = tab.url || tab.pendingUrl;
+    const parts = url ? getUrlParts(url) : null;
+    if (!parts) return;
+    const [groups, matchMode, managed, overrides] = await Promise.all([
+      getGroups(),
+      getMatchMode(),
+      getManagedGroups(),
+      getTabOverrides()
+    ]);
+    const match = findMatchingGroup(parts, groups, matchMode);
+    let wanted;
+    if (match && match.type === 'pin') {
+      wanted = tab.pinned;
+    } else if (match) {
+      wanted = !tab.pinned && isSameManagedGroup(managed.get(tab.groupId), match);
+    } else {
+      // Unmatched tabs are only touched when they sit in a managed group
+      wanted = !managed.has(tab.groupId);
+    }
+    if (wanted) {
+      if (!overrides.delete(tab.id)) return;
+    } else {
+      overrides.set(tab.id, { host: parts.host, at: Date.now() });
+    }
+    await saveTabOverrides();
+  } catch (e) {
+    console.error('Error recording tab override:', e);
+  }
+}
+
+/**
+ * Drop a tab's override and run the rules on it again.
+ * @param {number} tabId
+ */
+async function reapplyRulesToTab(tabId) {
+  const overrides = await getTabOverrides();
+  if (overrides.delete(tabId)) await saveTabOverrides();
+  const tab = await chrome.tabs.get(tabId);
+  await processTab(tab);
+}
+
+/**
+ * Queue an operation on a window's tabs and groups. Each window's ops run one
+ * at a time, so listeners firing concurrently can't interleave a group lookup
+ * with another op's writes. An op that is still waiting under the same key
+ * absorbs the new request instead: `item` is added to its items and the
+ * latest `run` replaces the earlier one, so e.g. several tabs joining one
+ * group become a single chrome.tabs.group call.
+ * Failures are reported here (see runWindowOp); the returned promise never
+ * rejects and resolves with run's result, or undefined if it failed.
+ * @param {number} windowId
+ * @param {string} key
+ * @param {(items: Array<*>) => Promise<*>} run
+ * @param {*=} item
+ * @returns {Promise<*>}
  */
-function patternMatchesUrl(pattern, host, pathname) {
-  if (!pattern || !host) return false;
-  const slashIdx = pattern.indexOf('/');
-  const hostPattern = slashIdx >= 0 ? pattern.slice(0, slashIdx) : pattern;
-  let pathPattern = slashIdx >= 0 ? pattern.slice(slashIdx) : null; // includes leading '/'
-  if (!patternMatchesHost(hostPattern, host)) return false;
-  if (!pathPattern) return true;
-
-  // Implicit wildcard: if no wildcard, treat as prefix match
-  if (!pathPattern.includes('*')) {
-    pathPattern += '*';
+function enqueueWindowOp(windowId, key, run, item) {
+  let queue = windowQueues.get(windowId);
+  if (!queue) {
+    queue = { ops: [], running: false };
+    windowQueues.set(windowId, queue);
+  }
+  let op = queue.ops.find(o => o.key === key);
+  if (op) {
+    op.run = run;
+  } else {
+    op = { key, run, items: [] };
+    op.done = new Promise(resolve => {
+      op.resolve = resolve;
+    });
+    queue.ops.push(op);
   }
+  if (item !== undefined) op.items.push(item);
+  if (!queue.running) drainWindowQueue(windowId, queue);
+  return op.done;
+}
 
-  const path = pathname || '/';
-  if (pathPattern.includes('*')) {
-    return globToRegExp(pathPattern).test(path);
+async function drainWindowQueue(windowId, queue) {
+  queue.running = true;
+  while (queue.ops.length) {
+    const op = queue.ops.shift();
+    op.resolve(await runWindowOp(windowId, op));
   }
-  return path === pathPattern;
+  queue.running = false;
+  windowQueues.delete(windowId);
 }
 
 /**
- * Find the first matching rule for a host.
- * Returns the matching group (title, color) or null.
- * @param {string} host
- * @param {string} pathname
- * @param {Array<{title:string,color:string,type:string,patterns:string[]}>} groups
+ * Run a queued op, retrying while Chrome refuses tab edits because the user
+ * is dragging a tab.
+ * @param {number} windowId
+ * @param {{key:string, run:Function, items:Array<*>}} op
  */
-function findMatchingGroup(host, pathname, groups) {
-  if (!host) return null;
-  for (const g of groups) {
-    if (!g || (g.type !== 'pin' && !g.title) || !Array.isArray(g.patterns)) continue;
-    for (const p of g.patterns) {
-      if (typeof p === 'string' && patternMatchesUrl(p, host, pathname)) {
-        return {
-          title: g.title,
-          color: normalizeColor(g.color),
-          type: g.type || 'group'
-        };
+async function runWindowOp(windowId, op) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await op.run(op.items);
+    } catch (e) {
+      if (isTabsBusyError(e) && attempt < TABS_BUSY_RETRY_MS.length) {
+        await new Promise(resolve => setTimeout(resolve, TABS_BUSY_RETRY_MS[attempt]));
+        continue;
       }
+      reportTabOpError(`${op.key} in window ${windowId}`, e);
+      return undefined;
     }
   }
-  return null;
+}
+
+function isTabsBusyError(e) {
+  return /cannot be edited right now/i.test(String((e && e.message) || e));
 }
 
 /**
- * Decide whether a tab should be auto-closed and schedule if so.
- * Schedules a 1s timeout, and revalidates the match before closing.
- * @param {chrome.tabs.Tab} tab
+ * Report a failed tab operation. Tabs, groups and windows routinely vanish
+ * between an event and the op it triggers; those are only logged at debug.
+ * Rules that are still syncing (see loadRuleData) only get a warning.
+ * @param {string} label what was being done
+ * @param {*} e
  */
-async function maybeScheduleAutoClose(tab) {
-  try {
-    if (!tab || tab.id == null) return;
-    if (tab.pinned) return;
-    const url = tab.url || tab.pendingUrl;
-    const host = url ? getHostFromUrl(url) : null;
-    if (!host) return; // only http/https
-    const path = url ? getPathFromUrl(url) : '/';
-    const rules = await getAutoCloseRules();
-    if (!rules.length) return;
-    const match = rules.find(r => typeof r.pattern === 'string' && patternMatchesUrl(r.pattern, host, path || '/'));
-    if (!match) return;
-
-    // Clear any existing timer for this tab
-    if (autoCloseTimers.has(tab.id)) {
-      clearTimeout(autoCloseTimers.get(tab.id));
-    }
-    const tId = setTimeout(async () => {
-      autoCloseTimers.delete(tab.id);
-      try {
-        const fresh = await chrome.tabs.get(tab.id);
-        if (!fresh || fresh.pinned) return;
-        const fUrl = fresh.url || fresh.pendingUrl;
-        const fHost = fUrl ? getHostFromUrl(fUrl) : null;
-        const fPath = fUrl ? getPathFromUrl(fUrl) : '/';
-        const latest = await getAutoCloseRules();
-        const stillRule = fHost && latest.find(r => typeof r.pattern === 'string' && patternMatchesUrl(r.pattern, fHost, fPath || '/'));
-        const stillMatch = Boolean(stillRule);
-        if (stillMatch) {
-          await chrome.tabs.remove(tab.id);
-        }
-      } catch {
-        // ignore (tab may be gone)
-      }
-    }, Math.max(1000, (Number(match.delaySeconds) || 1) * 1000));
-    autoCloseTimers.set(tab.id, tId);
-  } catch {
-    // ignore
+function reportTabOpError(label, e) {
+  const message = String((e && e.message) || e);
+  if (/^No (tab|group|window) with id/i.test(message)) {
+    console.debug(`Skipped ${label}: ${message}`);
+  } else if (/^Rules are incomplete/.test(message)) {
+    console.warn(`Skipped ${label}: ${message}`);
+  } else {
+    console.error(`Tab operation failed (${label}):`, e);
   }
 }
 
 /**
- * Merge duplicate groups with the same title in a window into a single group.
- * Chooses one primary group and moves tabs from others into it.
+ * Queue a reorganize of the window (see arrangeWindow). Requests made while
+ * one is waiting share it; requests made while one runs queue another.
  * @param {number} windowId
- * @param {string} title
- * @param {string=} color
  */
-async function dedupeGroups(windowId, title, color) {
-  try {
-    if (windowId == null || !title) return;
-    const groups = await chrome.tabGroups.query({ windowId });
-    const sameTitle = groups.filter(g => g.title === title);
-    if (sameTitle.length <= 1) return;
-    // Choose the lowest id as primary to have deterministic behavior
-    sameTitle.sort((a, b) => a.id - b.id);
-    const primary = sameTitle[0];
-    const rest = sameTitle.slice(1);
-    for (const g of rest) {
-      const tabs = await chrome.tabs.query({ groupId: g.id });
-      if (tabs.length) {
-        await chrome.tabs.group({ tabIds: tabs.map(t => t.id), groupId: primary.id });
-      }
-    }
-    // Ensure primary has the desired color/title
-    const update = { title };
-    if (color) update.color = color;
-    await chrome.tabGroups.update(primary.id, update);
-  } catch {
-    // ignore errors
-  }
+function organizeWindow(windowId) {
+  return enqueueWindowOp(windowId, 'organize', () => arrangeWindow(windowId));
 }
 
 /**
- * Organize the window according to the rules:
+ * Organize the window according to the layout policy (see getLayout):
  * 1. Pinned tabs first (implicit).
- * 2. Groups to the left of ungrouped tabs.
- * 3. Groups maintain relative order.
+ * 2. Groups to the left of ungrouped tabs (or to the right, if configured).
+ * 3. Groups in the configured order; by default they keep their relative order.
  * 4. Ungrouped tabs maintain relative order.
+ * 5. Tabs inside each group optionally sorted.
+ * Runs inside the window's queue.
  * @param {number} windowId
  */
-async function organizeWindow(windowId) {
-  if (organizingWindows.has(windowId)) return;
-  organizingWindows.add(windowId);
+async function arrangeWindow(windowId) {
+  const [tabs, windowGroups, layout, groups, managed] = await Promise.all([
+    chrome.tabs.query({ windowId }),
+    chrome.tabGroups.query({ windowId }),
+    getLayout(),
+    getGroups(),
+    getManagedGroups()
+  ]);
+  // Sort by index to ensure we respect current order
+  tabs.sort((a, b) => a.index - b.index);
 
-  try {
-    const tabs = await chrome.tabs.query({ windowId });
-    // Sort by index to ensure we respect current order
-    tabs.sort((a, b) => a.index - b.index);
-
-    const pinnedTabs = tabs.filter(t => t.pinned);
-    const unpinnedTabs = tabs.filter(t => !t.pinned);
-
-    // Identify groups and their first appearance
-    const seenGroups = new Set();
-    const orderedGroups = []; // { id: number, firstIndex: number }
-    const ungroupedTabs = [];
-
-    for (const t of unpinnedTabs) {
-      if (t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
-        if (!seenGroups.has(t.groupId)) {
-          seenGroups.add(t.groupId);
-          orderedGroups.push({ id: t.groupId, firstIndex: t.index });
-        }
-      } else {
-        ungroupedTabs.push(t);
+  const pinnedTabs = tabs.filter(t => t.pinned);
+  const unpinnedTabs = tabs.filter(t => !t.pinned);
+
+  // Identify groups and their first appearance
+  const seenGroups = new Set();
+  const orderedGroups = []; // { id: number, firstIndex: number }
+  const ungroupedTabs = [];
+
+  for (const t of unpinnedTabs) {
+    if (t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
+      if (!seenGroups.has(t.groupId)) {
+        seenGroups.add(t.groupId);
+        orderedGroups.push({ id: t.groupId, firstIndex: t.index });
       }
+    } else {
+      ungroupedTabs.push(t);
     }
+  }
 
-    // Sort groups by their first appearance index to maintain relative order
-    orderedGroups.sort((a, b) => a.firstIndex - b.firstIndex);
+  // Sort groups by their first appearance index to maintain relative order,
+  // then (stably) by the configured policy
+  orderedGroups.sort((a, b) => a.firstIndex - b.firstIndex);
+  orderedGroups.sort(groupOrderComparator(layout, windowGroups, groups, managed));
 
-    let currentIndex = pinnedTabs.length;
+  let currentIndex = pinnedTabs.length;
+  if (layout.ungroupedPosition === 'left') {
+    currentIndex = await moveUngroupedTabs(windowId, ungroupedTabs, currentIndex);
+  }
 
-    // Move groups
-    for (const group of orderedGroups) {
-      // Move the group to the current index
-      await chrome.tabGroups.move(group.id, { index: currentIndex });
+  // Move groups
+  for (const group of orderedGroups) {
+    // Move the group to the current index
+    await chrome.tabGroups.move(group.id, { index: currentIndex });
 
-      // Calculate how many tabs are in this group to advance the index
-      // We can't just count from our initial query because things might have shifted,
-      // but for the purpose of stacking, we can query the group's tabs.
-      const groupTabs = await chrome.tabs.query({ groupId: group.id });
-      currentIndex += groupTabs.length;
+    // Calculate how many tabs are in this group to advance the index
+    // We can't just count from our initial query because things might have shifted,
+    // but for the purpose of stacking, we can query the group's tabs.
+    const groupTabs = await chrome.tabs.query({ groupId: group.id });
+    if (layout.sortTabsBy !== 'none') {
+      await sortGroupTabs(groupTabs, currentIndex, layout.sortTabsBy);
     }
+    currentIndex += groupTabs.length;
+  }
 
-    // Move ungrouped tabs
-    // We move them one by one to the end
-    for (const t of ungroupedTabs) {
-      // Optimization: if it's already at the correct index, skip
-      // But we need to be careful because 'index' property on 't' is stale.
-      // So we just move it. 'move' is relatively cheap if it's already there (Chrome handles it).
-      // To be safe and avoid race conditions, we just move it.
-      try {
-        await chrome.tabs.move(t.id, { index: currentIndex });
-        currentIndex++;
-      } catch (e) {
-        // Tab might have been closed
-      }
-    }
+  if (layout.ungroupedPosition === 'right') {
+    await moveUngroupedTabs(windowId, ungroupedTabs, currentIndex);
+  }
+}
 
-  } catch (e) {
-    console.error('Error organizing window:', e);
-  } finally {
-    organizingWindows.delete(windowId);
+/**
+ * Move ungrouped tabs one by one into place starting at an index.
+ * @returns {Promise<number>} the index after the last moved tab
+ */
+async function moveUngroupedTabs(windowId, ungroupedTabs, currentIndex) {
+  for (const t of ungroupedTabs) {
+    // Optimization: if it's already at the correct index, skip
+    // But we need to be careful because 'index' property on 't' is stale.
+    // So we just move it. 'move' is relatively cheap if it's already there (Chrome handles it).
+    // To be safe and avoid race conditions, we just move it.
+    try {
+      await chrome.tabs.move(t.id, { index: currentIndex });
+      currentIndex++;
+    } catch (e) {
+      // A drag in progress retries the whole op; a closed tab just drops out
+      if (isTabsBusyError(e)) throw e;
+      reportTabOpError(`move tab ${t.id} in window ${windowId}`, e);
+    }
   }
+  return currentIndex;
+}
+
+/**
+ * Comparator for a window's groups under the layout policy. Groups it
+ * considers equal keep their current relative order (Array#sort is stable).
+ * @param {ReturnType<typeof normalizeLayout>} layout
+ * @param {chrome.tabGroups.TabGroup[]} windowGroups
+ * @param {Array<Object>} groups rules
+ * @param {Map<number,Object>} managed
+ */
+function groupOrderComparator(layout, windowGroups, groups, managed) {
+  const titles = new Map(windowGroups.map(g => [g.id, g.title || '']));
+  const ruleIndex = new Map(groups.map((g, i) => [g.id, i]));
+  // Manual groups have no place in the rules list; they go after the rule groups
+  const rank = (id) => {
+    const entry = managed.get(id);
+    return entry && ruleIndex.has(entry.ruleId) ? ruleIndex.get(entry.ruleId) : Infinity;
+  };
+  const side = (id) => {
+    if (layout.managedGroups === 'mixed') return 0;
+    const isManaged = managed.has(id);
+    return (layout.managedGroups === 'first') === isManaged ? 0 : 1;
+  };
+  return (a, b) => {
+    const bySide = side(a.id) - side(b.id);
+    if (bySide) return bySide;
+    if (layout.groupOrder === 'rules') {
+      const ra = rank(a.id);
+      const rb = rank(b.id);
+      return ra === rb ? 0 : (ra < rb ? -1 : 1);
+    }
+    if (layout.groupOrder === 'alphabetical') {
+      return titles.get(a.id).localeCompare(titles.get(b.id), undefined, { sensitivity: 'base', numeric: true });
+    }
+    return 0;
+  };
+}
+
+/**
+ * Reorder a group's tabs (which start at groupIndex) by URL, title or most
+ * recently used first. Nothing moves if they're already in order.
+ * @param {chrome.tabs.Tab[]} groupTabs
+ * @param {number} groupIndex
+ * @param {'url'|'title'|'lastAccessed'} sortBy
+ */
+async function sortGroupTabs(groupTabs, groupIndex, sortBy) {
+  const current = groupTabs.slice().sort((a, b) => a.index - b.index);
+  const text = (t) => (sortBy === 'url' ? (t.url || t.pendingUrl || '') : (t.title || ''));
+  const sorted = current.slice().sort(sortBy === 'lastAccessed'
+    ? (a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0)
+    : (a, b) => text(a).localeCompare(text(b), undefined, { sensitivity: 'base', numeric: true }));
+  if (sorted.every((t, i) => t.id === current[i].id)) return;
+  // Moving within the group's own span keeps the tabs in the group
+  await chrome.tabs.move(sorted.map(t => t.id), { index: groupIndex });
 }
 
 /**
@@ -401,38 +2649,135 @@ function scheduleOrganizeWindow(windowId) {
 }
 
 /**
- * Ensure the given tab is in the appropriate group for the rule.
- * @param {chrome.tabs.Tab} tab
- * @param {{color:string,title:string}} groupInfo
+ * Run an operation that changes tabs' group or pinned state, marking the
+ * tabs so the resulting onUpdated events aren't taken for user actions.
+ * @param {number|number[]} tabIds
+ * @param {() => Promise<*>} op
  */
-async function ensureTabInGroup(tab, groupInfo) {
-  if (!tab || tab.id == null || tab.windowId == null) return;
-  const title = groupInfo.title;
-  const color = groupInfo.color;
+async function withOwnTabChange(tabIds, op) {
+  const ids = [].concat(tabIds);
+  for (const id of ids) ownTabChanges.set(id, Infinity);
+  try {
+    return await op();
+  } finally {
+    // Events for the change can arrive after the call resolves
+    const until = Date.now() + OWN_CHANGE_GRACE_MS;
+    for (const id of ids) ownTabChanges.set(id, until);
+  }
+}
+
+function isOwnTabChange(tabId) {
+  const until = ownTabChanges.get(tabId);
+  if (until == null) return false;
+  if (until < Date.now()) {
+    ownTabChanges.delete(tabId);
+    return false;
+  }
+  return true;
+}
+
+function groupTabs(options) {
+  return withOwnTabChange(options.tabIds, () => chrome.tabs.group(options));
+}
+
+function ungroupTabs(tabIds) {
+  return withOwnTabChange(tabIds, () => chrome.tabs.ungroup(tabIds));
+}
+
+function setTabPinned(tabId, pinned) {
+  return withOwnTabChange(tabId, () => chrome.tabs.update(tabId, { pinned }));
+}
 
-  // Find existing group by title in the same window
-  const groups = await chrome.tabGroups.query({ windowId: tab.windowId });
-  const existing = groups.find(g => g.title === title);
+/**
+ * Queue the tab to join its rule's group. Tabs joining the same rule group
+ * while the op waits are added to it.
+ * @param {chrome.tabs.Tab} tab
+ * @param {ReturnType<typeof buildGroupMatch>} match
+ */
+function ensureTabInGroup(tab, match) {
+  if (!tab || tab.id == null || tab.windowId == null) return Promise.resolve();
+  const windowId = tab.windowId;
+  return enqueueWindowOp(windowId, `join:${match.ruleId}:${match.groupKey}`,
+    tabIds => joinManagedGroup(windowId, match, tabIds), tab.id);
+}
 
+/**
+ * Queue op: unpin the tabs and put them into the window's group for the rule
+ * group in one call, creating and registering the group if there is none.
+ * Tabs that closed or left the window while queued are skipped.
+ * @param {number} windowId
+ * @param {ReturnType<typeof buildGroupMatch>} match
+ * @param {number[]} tabIds
+ */
+async function joinManagedGroup(windowId, match, tabIds) {
+  const [tabs, windowGroups, managed] = await Promise.all([
+    chrome.tabs.query({ windowId }),
+    chrome.tabGroups.query({ windowId }),
+    getManagedGroups()
+  ]);
+  const joining = tabs.filter(t => tabIds.includes(t.id));
+  if (!joining.length) return;
+  for (const t of joining) {
+    if (t.pinned) await setTabPinned(t.id, false);
+  }
+  const existing = findManagedGroups(windowGroups, managed, match)[0];
   if (existing) {
-    if (tab.groupId !== existing.id) {
-      await chrome.tabs.group({ tabIds: [tab.id], groupId: existing.id });
-    }
-    // Ensure color/title match (in case it was just created or changed)
-    if (existing.color !== color) {
-      await chrome.tabGroups.update(existing.id, { color });
-    }
+    const ids = joining.filter(t => t.groupId !== existing.id).map(t => t.id);
+    if (ids.length) await groupTabs({ tabIds: ids, groupId: existing.id });
+    await syncManagedGroup(existing, match, managed);
   } else {
-    // Create new group
-    const groupId = await chrome.tabs.group({ tabIds: [tab.id] });
-    await chrome.tabGroups.update(groupId, { title, color });
+    const groupId = await groupTabs({ tabIds: joining.map(t => t.id), createProperties: { windowId } });
+    managed.set(groupId, { ruleId: match.ruleId, key: match.groupKey, title: match.title });
+    await saveManagedGroups();
+    await chrome.tabGroups.update(groupId, { title: match.title, color: match.color });
+  }
+  scheduleOrganizeWindow(windowId);
+}
+
+/**
+ * Queue the tab to be pinned (and taken out of its group) for a pin rule.
+ * @param {chrome.tabs.Tab} tab
+ */
+function pinTabForRule(tab) {
+  const windowId = tab.windowId;
+  return enqueueWindowOp(windowId, 'pin', tabIds => pinTabs(windowId, tabIds), tab.id);
+}
+
+/**
+ * Queue op: ungroup and pin tabs still in the window.
+ * @param {number} windowId
+ * @param {number[]} tabIds
+ */
+async function pinTabs(windowId, tabIds) {
+  const tabs = (await chrome.tabs.query({ windowId })).filter(t => tabIds.includes(t.id));
+  const grouped = tabs.filter(t => t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE).map(t => t.id);
+  if (grouped.length) await ungroupTabs(grouped);
+  for (const t of tabs) {
+    if (!t.pinned) await setTabPinned(t.id, true);
   }
+}
 
-  // Dedupe just in case
-  await dedupeGroups(tab.windowId, title, color);
+/**
+ * Queue the tab to leave its managed group (its rule no longer matches).
+ * @param {chrome.tabs.Tab} tab
+ */
+function releaseTabFromGroup(tab) {
+  const windowId = tab.windowId;
+  return enqueueWindowOp(windowId, 'release', tabIds => releaseTabs(windowId, tabIds), tab.id);
+}
 
-  // Trigger organization
-  scheduleOrganizeWindow(tab.windowId);
+/**
+ * Queue op: ungroup the tabs that are still in a managed group of the window.
+ * Manual groups are the user's and are left alone.
+ * @param {number} windowId
+ * @param {number[]} tabIds
+ */
+async function releaseTabs(windowId, tabIds) {
+  const [tabs, managed] = await Promise.all([chrome.tabs.query({ windowId }), getManagedGroups()]);
+  const ids = tabs.filter(t => tabIds.includes(t.id) && managed.has(t.groupId)).map(t => t.id);
+  if (!ids.length) return;
+  await ungroupTabs(ids);
+  scheduleOrganizeWindow(windowId);
 }
 
 /**
@@ -443,8 +2788,8 @@ async function processTabId(tabId) {
   try {
     const tab = await chrome.tabs.get(tabId);
     await processTab(tab);
-  } catch {
-    // Tab may no longer exist; ignore
+  } catch (e) {
+    reportTabOpError(`process tab ${tabId}`, e);
   }
 }
 
@@ -458,36 +2803,36 @@ async function processTab(tab) {
   // if they match a group rule, or we might need to pin them if they match a pin rule.
 
   const url = tab.url || tab.pendingUrl;
-  const host = url ? getHostFromUrl(url) : null;
+  const parts = url ? getUrlParts(url) : null;
 
   // If no host (e.g. chrome://), we might still need to ungroup if it was previously grouped
   // But for now, let's just check if it matches any rule.
 
-  const groups = await getGroups();
-  const path = url ? getPathFromUrl(url) : null;
-  const match = host ? findMatchingGroup(host, path || '/', groups) : null;
+  // The user placed this tab by hand; leave it until it changes host
+  const overrides = await getTabOverrides();
+  const hadOverride = overrides.has(tab.id);
+  if (checkTabOverride(tab, overrides)) return;
+  if (hadOverride) await saveTabOverrides();
+
+  // Rules still syncing (see loadRuleData): leave the tab until they arrive
+  let match;
+  try {
+    const groups = await getGroups();
+    const matchMode = await getMatchMode();
+    match = parts ? findMatchingGroup(parts, groups, matchMode) : null;
+  } catch (e) {
+    console.warn(`Tab ${tab.id} not processed:`, e.message);
+    return;
+  }
 
   if (match) {
     if (match.type === 'pin') {
-      // Rule says PIN
-      // 1. Ungroup if needed (pinned tabs usually shouldn't be in a group)
-      if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
-        try {
-          await chrome.tabs.ungroup(tab.id);
-        } catch { }
-      }
-      // 2. Pin if needed
-      if (!tab.pinned) {
-        await chrome.tabs.update(tab.id, { pinned: true });
-        // Organizing window might happen automatically by browser or our listeners
+      // Rule says PIN: ungroup (pinned tabs shouldn't be in a group) and pin
+      if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE || !tab.pinned) {
+        await pinTabForRule(tab);
       }
     } else {
-      // Rule says GROUP
-      // 1. Unpin if needed
-      if (tab.pinned) {
-        await chrome.tabs.update(tab.id, { pinned: false });
-      }
-      // 2. Group
+      // Rule says GROUP: unpin if needed and join the rule's group
       await ensureTabInGroup(tab, match);
     }
   } else {
@@ -500,75 +2845,422 @@ async function processTab(tab) {
       return;
     }
 
-    if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
-      try {
-        const currentGroup = await chrome.tabGroups.get(tab.groupId);
-        // Only ungroup if the group title looks like a managed one
-        const managedTitles = new Set(groups.filter(g => g.type !== 'pin').map(g => g.title));
-        if (currentGroup && managedTitles.has(currentGroup.title)) {
-          await chrome.tabs.ungroup(tab.id);
-          scheduleOrganizeWindow(tab.windowId);
-        }
-      } catch (e) {
-        // Group might not exist
-      }
+    // Only ungroup from groups we manage; manual groups are the user's
+    const managed = await getManagedGroups();
+    if (managed.has(tab.groupId)) {
+      await releaseTabFromGroup(tab);
     }
   }
 }
 
 /**
  * Sweep all tabs across all windows and group as needed.
+ * Rules are loaded (and their patterns compiled) once; each window is then
+ * planned as a whole and applied with one chrome.tabs.group call per target
+ * group instead of per-tab processing, as one op in the window's queue.
+ * Sweeps requested while one is running are coalesced into a single
+ * follow-up sweep.
  */
 async function sweepAllTabs() {
-  const tabs = await chrome.tabs.query({});
+  if (sweepInProgress) {
+    sweepRequested = true;
+    return;
+  }
+  sweepInProgress = true;
+  try {
+    do {
+      sweepRequested = false;
+      await runSweep();
+    } while (sweepRequested);
+  } catch (e) {
+    console.error('Error sweeping tabs:', e);
+  } finally {
+    sweepInProgress = false;
+  }
+}
+
+async function runSweep() {
+  const [groups, matchMode, tabs, managed, overrides] = await Promise.all([
+    getGroups(),
+    getMatchMode(),
+    chrome.tabs.query({}),
+    getManagedGroups(),
+    getTabOverrides()
+  ]);
+  // Overridden tabs are skipped; drop overrides of closed tabs or tabs that changed host
+  const overriddenCount = overrides.size;
+  const openTabIds = new Set(tabs.map(t => t.id));
+  for (const tabId of overrides.keys()) {
+    if (!openTabIds.has(tabId)) overrides.delete(tabId);
+  }
+  for (const tab of tabs) checkTabOverride(tab, overrides);
+  if (overrides.size !== overriddenCount) await saveTabOverrides();
+  // Groups whose rule was deleted (or turned into a pin rule) become manual
+  const groupRuleIds = new Set(groups.filter(g => g.type !== 'pin').map(g => g.id));
+  let released = false;
+  for (const [groupId, entry] of managed) {
+    if (!groupRuleIds.has(entry.ruleId)) {
+      managed.delete(groupId);
+      released = true;
+    }
+  }
+  if (released) await saveManagedGroups();
+  const windowIds = new Set(tabs.map(t => t.windowId));
+  for (const windowId of windowIds) {
+    await enqueueWindowOp(windowId, 'sweep', async () => {
+      // Read the window inside the op: earlier ops in the queue may have changed it
+      const [windowTabs, windowGroups] = await Promise.all([
+        chrome.tabs.query({ windowId }),
+        chrome.tabGroups.query({ windowId })
+      ]);
+      const swept = windowTabs.filter(t => !overrides.has(t.id));
+      const plan = planWindowSweep(swept, windowGroups, groups, matchMode, managed);
+      await applySweepPlan(windowId, plan, windowGroups, managed);
+      await arrangeWindow(windowId);
+    });
+  }
+}
+
+/**
+ * Decide what every tab in a window needs, without touching the browser.
+ * Mirrors processTab: pin-rule tabs are pinned (and ungrouped), group-rule
+ * tabs are unpinned and gathered per target rule group, and unmatched tabs
+ * in a managed group are ungrouped.
+ * @param {chrome.tabs.Tab[]} tabs
+ * @param {chrome.tabGroups.TabGroup[]} windowGroups
+ * @param {Array<Object>} groups
+ * @param {'first'|'specific'} matchMode
+ * @param {Map<number,Object>} managed
+ */
+function planWindowSweep(tabs, windowGroups, groups, matchMode, managed) {
+  const plan = { ungroup: [], pin: [], unpin: [], targets: new Map() };
   for (const tab of tabs) {
-    await processTab(tab);
+    const url = tab.url || tab.pendingUrl;
+    const parts = url ? getUrlParts(url) : null;
+    const match = parts ? findMatchingGroup(parts, groups, matchMode) : null;
+    const grouped = tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE;
+    if (match && match.type === 'pin') {
+      if (grouped) plan.ungroup.push(tab.id);
+      if (!tab.pinned) plan.pin.push(tab.id);
+    } else if (match) {
+      if (tab.pinned) plan.unpin.push(tab.id);
+      const key = `${match.ruleId}\u001e${match.groupKey}`;
+      if (!plan.targets.has(key)) {
+        plan.targets.set(key, { ...match, tabs: [] });
+      }
+      plan.targets.get(key).tabs.push(tab);
+    } else if (!tab.pinned && grouped && managed.has(tab.groupId)) {
+      plan.ungroup.push(tab.id);
+    }
+  }
+  return plan;
+}
+
+/**
+ * Apply a planWindowSweep plan with as few tab operations as possible.
+ * Runs inside the window's queue.
+ * The target's registered groups are reused; when there are several
+ * (duplicates), the lowest id wins and the others' tabs are folded into it.
+ * Grouping runs before ungrouping/pinning: Chrome deletes a group when its
+ * last tab leaves, and that group may be one we're about to reuse.
+ * @param {number} windowId
+ * @param {ReturnType<typeof planWindowSweep>} plan
+ * @param {chrome.tabGroups.TabGroup[]} windowGroups
+ * @param {Map<number,Object>} managed
+ */
+async function applySweepPlan(windowId, plan, windowGroups, managed) {
+  for (const tabId of plan.unpin) {
+    await setTabPinned(tabId, false);
+  }
+  for (const target of plan.targets.values()) {
+    const existing = findManagedGroups(windowGroups, managed, target);
+    const primary = existing[0];
+    const tabIds = target.tabs.filter(t => !primary || t.groupId !== primary.id).map(t => t.id);
+    if (existing.length > 1) {
+      const dupTabs = await chrome.tabs.query({ windowId });
+      const dupIds = new Set(existing.slice(1).map(g => g.id));
+      for (const t of dupTabs) {
+        if (dupIds.has(t.groupId) && !tabIds.includes(t.id)) tabIds.push(t.id);
+      }
+    }
+    if (primary) {
+      if (tabIds.length) await groupTabs({ tabIds, groupId: primary.id });
+      await syncManagedGroup(primary, target, managed);
+    } else if (tabIds.length) {
+      const groupId = await groupTabs({ tabIds, createProperties: { windowId } });
+      managed.set(groupId, { ruleId: target.ruleId, key: target.groupKey, title: target.title });
+      await saveManagedGroups();
+      await chrome.tabGroups.update(groupId, { title: target.title, color: target.color });
+    }
+  }
+  if (plan.ungroup.length) {
+    await ungroupTabs(plan.ungroup);
+  }
+  for (const tabId of plan.pin) {
+    await setTabPinned(tabId, true);
+  }
+}
+
+/**
+ * Open the options page with a new rule prepopulated from a tab's host.
+ * @param {chrome.tabs.Tab=} tab
+ */
+async function openRuleCreator(tab) {
+  try {
+    const url = tab && (tab.url || tab.pendingUrl);
+    const host = url ? getHostFromUrl(url) : null;
+    const prepopulateRule = host ? { pattern: host, color: 'grey', title: '' } : null;
+    if (prepopulateRule) {
+      await chrome.storage.local.set({ prepopulateRule });
+    }
+    await chrome.runtime.openOptionsPage();
+  } catch {
+    chrome.runtime.openOptionsPage();
+  }
+}
+
+/**
+ * Summarize a window for the toolbar popup: its tab groups (managed or
+ * manual) with tab counts, the ungrouped tabs, hosts that have several
+ * ungrouped tabs and could be grouped together, and the linked bookmark
+ * folders (when bookmark access is granted).
+ * @param {number} windowId
+ */
+async function getWindowOverview(windowId) {
+  const [tabs, tabGroups, groups, matchMode, managed, overrides, bookmarksAccess] = await Promise.all([
+    chrome.tabs.query({ windowId }),
+    chrome.tabGroups.query({ windowId }),
+    getGroups(),
+    getMatchMode(),
+    getManagedGroups(),
+    getTabOverrides(),
+    hasBookmarksAccess()
+  ]);
+  tabs.sort((a, b) => a.index - b.index);
+  const counts = new Map();
+  for (const t of tabs) {
+    if (t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) counts.set(t.groupId, (counts.get(t.groupId) || 0) + 1);
   }
-  // Also organize all windows
-  const windows = new Set(tabs.map(t => t.windowId));
-  for (const winId of windows) {
-    scheduleOrganizeWindow(winId);
+  const firstIndex = (groupId) => {
+    const t = tabs.find(x => x.groupId === groupId);
+    return t ? t.index : Infinity;
+  };
+  const overviewGroups = tabGroups
+    .sort((a, b) => firstIndex(a.id) - firstIndex(b.id))
+    .map(g => ({
+      id: g.id,
+      title: g.title || '',
+      color: g.color,
+      collapsed: g.collapsed,
+      tabCount: counts.get(g.id) || 0,
+      managed: managed.has(g.id)
+    }));
+  const linkedRules = bookmarksAccess ? groups.filter(isBookmarkLinked) : [];
+  const openRuleIds = new Set(tabGroups.map(g => (managed.get(g.id) || {}).ruleId));
+  const bookmarkFolders = linkedRules.map(r => ({
+    ruleId: r.id,
+    title: r.title,
+    color: r.color,
+    folder: r.bookmarkFolder,
+    open: openRuleIds.has(r.id)
+  }));
+
+  const ungrouped = [];
+  const byHost = new Map();
+  for (const t of tabs) {
+    if (t.pinned || t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) continue;
+    const url = t.url || t.pendingUrl || '';
+    const host = getHostFromUrl(url);
+    ungrouped.push({ id: t.id, title: t.title || url, url, host });
+    if (host) {
+      if (!byHost.has(host)) byHost.set(host, []);
+      byHost.get(host).push(t.id);
+    }
+  }
+  const suggestions = Array.from(byHost, ([host, tabIds]) => ({ host, tabIds }))
+    .filter(s => s.tabIds.length >= 2)
+    .sort((a, b) => b.tabIds.length - a.tabIds.length);
+
+  const active = tabs.find(t => t.active);
+  const activeUrl = active ? (active.url || active.pendingUrl || '') : '';
+  const activeParts = activeUrl ? getUrlParts(activeUrl) : null;
+  const activeMatch = activeParts ? findMatchingGroup(activeParts, groups, matchMode) : null;
+  return {
+    windowId,
+    activeTab: active ? {
+      id: active.id,
+      title: active.title || activeUrl,
+      host: activeParts ? activeParts.host : null,
+      overridden: overrides.has(active.id) && overrides.get(active.id).host === overrideHost(active)
+    } : null,
+    activeMatch: activeMatch ? { type: activeMatch.type, title: activeMatch.title } : null,
+    // Browser-wide: Close duplicates acts on every window
+    duplicateCount: await countDuplicates(),
+    groups: overviewGroups,
+    ungrouped,
+    suggestions,
+    bookmarksAccess,
+    bookmarkFolders
+  };
+}
+
+/**
+ * Move a tab group into a new window of its own. If the move fails (the
+ * group closed meanwhile, or Chrome kept rejecting it during a drag) the
+ * new window is closed again and the error goes to the caller.
+ * @param {number} groupId
+ */
+async function moveGroupToNewWindow(groupId) {
+  const group = await chrome.tabGroups.get(groupId);
+  const win = await chrome.windows.create({ focused: true });
+  const placeholders = await chrome.tabs.query({ windowId: win.id });
+  // enqueueWindowOp reports failures itself and resolves with undefined
+  const moved = await enqueueWindowOp(group.windowId, `move-group:${groupId}`,
+    () => chrome.tabGroups.move(groupId, { windowId: win.id, index: -1 }));
+  if (!moved) {
+    await chrome.windows.remove(win.id);
+    throw new Error('The group could not be moved to a new window');
   }
+  // Drop the blank tab windows.create opened with
+  await chrome.tabs.remove(placeholders.map(t => t.id));
+  return win.id;
+}
+
+/**
+ * Put a window's ungrouped tabs from one host into a new (manual) group.
+ * @param {number} windowId
+ * @param {string} host
+ */
+function groupUngroupedByHost(windowId, host) {
+  return enqueueWindowOp(windowId, `group-host:${host}`, async () => {
+    const tabs = await chrome.tabs.query({ windowId });
+    const tabIds = tabs
+      .filter(t => !t.pinned && t.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE &&
+        getHostFromUrl(t.url || t.pendingUrl || '') === host)
+      .map(t => t.id);
+    if (!tabIds.length) return null;
+    const groupId = await groupTabs({ tabIds, createProperties: { windowId } });
+    await chrome.tabGroups.update(groupId, { title: host });
+    scheduleOrganizeWindow(windowId);
+    return groupId;
+  });
 }
 
 // Handle extension lifecycle events
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
+  // Rewrite rules stored by earlier versions before anything reads them
+  try {
+    await migrateSettings();
+  } catch (e) {
+    console.error('Error migrating stored rules:', e);
+  }
+  // The rules as installed are the first history entry to go back to
+  scheduleRuleHistoryRecord();
+  syncLifecycleAlarm();
+  syncScheduleAlarm();
+  syncSessionSnapshotAlarm();
+  scheduleWindowStateCapture();
+  await rebuildManagedGroups();
   sweepAllTabs();
+  scheduleBookmarkSync();
 });
 
-chrome.runtime.onStartup.addListener(() => {
+chrome.runtime.onStartup.addListener(async () => {
+  scheduleRuleHistoryRecord();
+  syncLifecycleAlarm();
+  syncScheduleAlarm();
+  syncSessionSnapshotAlarm();
+  scheduleWindowStateCapture();
+  await rebuildManagedGroups();
   sweepAllTabs();
+  scheduleBookmarkSync();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === LIFECYCLE_ALARM) {
+    runLifecycle().catch(e => console.error('Error running tab lifecycle:', e));
+  } else if (alarm.name === SCHEDULE_ALARM) {
+    applyRuleSchedules().catch(e => console.error('Error applying rule schedules:', e));
+  } else if (alarm.name === SESSION_SNAPSHOT_ALARM) {
+    takeSessionSnapshot('scheduled').catch(e => console.error('Error taking session snapshot:', e));
+  }
 });
 
 // React to storage changes (rules updated)
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === 'sync' && changes.groupingRules) {
+  // Rules are in sync or, in local-only mode, local storage, maybe sharded
+  const groupingRulesChanged = isRuleDataChange(changes, areaName, 'groupingRules');
+  if (groupingRulesChanged || isRuleDataChange(changes, areaName, 'autoClosePatterns')) {
+    compiledPatterns.clear();
+    syncScheduleAlarm();
+    scheduleRuleHistoryRecord();
+  }
+  if (isRuleDataChange(changes, areaName, 'activeProfileId')) {
+    // A new profile replaces every rule at once: rule groups are re-adopted
+    // by title (switching back picks up the old groups) before sweeping
+    rebuildManagedGroups().then(sweepAllTabs);
+  } else if (groupingRulesChanged || (areaName === 'sync' && (changes.matchMode || changes.layout))) {
     sweepAllTabs();
   }
+  if (areaName === 'sync' && changes.lifecycle) {
+    syncLifecycleAlarm();
+  }
+  if (areaName === 'sync' && changes.sessions) {
+    syncSessionSnapshotAlarm();
+  }
+  if (groupingRulesChanged || (areaName === 'sync' && changes.duplicates)) {
+    // Also clears the badges when marking is turned off
+    scheduleDuplicateMarks();
+  }
+  if (groupingRulesChanged) {
+    scheduleBookmarkSync();
+  }
 });
 
 // Tab events
 chrome.tabs.onCreated.addListener((tab) => {
+  const now = Date.now();
+  for (const [tabId, createdAt] of recentlyCreatedTabs) {
+    if (now - createdAt > NEW_TAB_WINDOW_MS) recentlyCreatedTabs.delete(tabId);
+  }
+  recentlyCreatedTabs.set(tab.id, now);
+  if (tab.active) markTabActivated(tab.id);
+  if (tab.url || tab.pendingUrl) checkDuplicateTab(tab);
   processTab(tab);
   if (tab.windowId != null) {
     scheduleOrganizeWindow(tab.windowId);
   }
   maybeScheduleAutoClose(tab);
+  scheduleWindowStateCapture();
 });
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // Group/pinned changes we didn't make are the user's: remember them
+  if ((changeInfo.groupId !== undefined || changeInfo.pinned !== undefined) && tab && !isOwnTabChange(tabId)) {
+    recordUserTabChange(tab);
+  }
+  if (changeInfo.url && tab) {
+    checkDuplicateTab(tab);
+  }
   if (changeInfo.url || changeInfo.status === 'complete') {
     processTabId(tabId);
     if (tab) {
       maybeScheduleAutoClose(tab);
     }
   }
+  if (changeInfo.url || changeInfo.title || changeInfo.pinned !== undefined || changeInfo.groupId !== undefined) {
+    scheduleWindowStateCapture();
+  }
+  if (changeInfo.status === 'complete' || changeInfo.groupId !== undefined) {
+    scheduleBookmarkSync();
+  }
 });
 
 // When a tab is attached to a window (e.g. moved between windows)
 chrome.tabs.onAttached.addListener((tabId, attachInfo) => {
   processTabId(tabId);
   scheduleOrganizeWindow(attachInfo.windowId);
+  scheduleWindowStateCapture();
 });
 
 // When a tab is moved within a window, we might need to re-enforce order
@@ -579,8 +3271,16 @@ chrome.tabs.onAttached.addListener((tabId, attachInfo) => {
 // So if user moves an ungrouped tab to the left of a group, we should move it back?
 // Requirement 1: "All tab groups should be to the left of ungrouped tabs."
 // So yes, we should enforce this.
+// (Which side ungrouped tabs go to, and whether the user's group order is kept,
+// is now the layout policy; see getLayout.)
 chrome.tabs.onMoved.addListener((tabId, moveInfo) => {
   scheduleOrganizeWindow(moveInfo.windowId);
+  scheduleWindowStateCapture();
+});
+
+// Remember tabs that have been active, for the auto-close "never active" condition
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  markTabActivated(tabId);
 });
 
 // When a tab is detached, organize the old window
@@ -589,17 +3289,40 @@ chrome.tabs.onDetached.addListener((tabId, detachInfo) => {
 });
 
 // When a tab is removed
-chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
   const t = autoCloseTimers.get(tabId);
   if (t) {
     clearTimeout(t);
     autoCloseTimers.delete(tabId);
   }
+  ownTabChanges.delete(tabId);
+  recentlyCreatedTabs.delete(tabId);
+  if ((await getDuplicateSettings()).mode === 'mark') scheduleDuplicateMarks();
+  const overrides = await getTabOverrides();
+  if (overrides.delete(tabId)) {
+    await saveTabOverrides();
+  }
+  const restored = await getRestoredAutoClosedTabs();
+  if (restored.delete(tabId)) {
+    await saveRestoredAutoClosedTabs();
+  }
+  const activated = await getActivatedTabs();
+  if (activated.delete(tabId)) {
+    await saveActivatedTabs();
+  }
+  // A closing window's last state is kept for its snapshot (see snapshotClosedWindow)
   if (!removeInfo.isWindowClosing) {
     scheduleOrganizeWindow(removeInfo.windowId);
+    scheduleWindowStateCapture();
+    scheduleBookmarkSync();
   }
 });
 
+chrome.windows.onRemoved.addListener((windowId) => {
+  windowClosedSinceBookmarkSync = true;
+  snapshotClosedWindow(windowId).catch(e => console.error('Error snapshotting closed window:', e));
+});
+
 // Group events
 chrome.tabGroups.onCreated.addListener((group) => {
   if (group.windowId != null) {
@@ -609,12 +3332,17 @@ chrome.tabGroups.onCreated.addListener((group) => {
 
 chrome.tabGroups.onUpdated.addListener((group) => {
   if (group.windowId != null) {
-    // If title changed, we might need to dedupe
-    if (group.title) {
-      dedupeGroups(group.windowId, group.title, group.color);
-    }
     scheduleOrganizeWindow(group.windowId);
   }
+  // Titles, colors and collapsed state are part of session snapshots
+  scheduleWindowStateCapture();
+});
+
+chrome.tabGroups.onRemoved.addListener(async (group) => {
+  const managed = await getManagedGroups();
+  if (managed.delete(group.id)) {
+    await saveManagedGroups();
+  }
 });
 
 chrome.tabGroups.onMoved.addListener((group) => {
@@ -626,18 +3354,81 @@ chrome.tabGroups.onMoved.addListener((group) => {
   }
 });
 
+// Bookmark folder changes, once the optional permission is granted
+addBookmarkListeners();
+chrome.permissions.onAdded.addListener(({ permissions }) => {
+  if (!permissions || !permissions.includes('bookmarks')) return;
+  addBookmarkListeners();
+  scheduleBookmarkSync();
+});
+
+// Requests from extension pages, as { type, ...payload } → { ok, result | error }
+const messageHandlers = {
+  explainUrl: ({ url, groupingRules, autoClosePatterns, matchMode }) =>
+    explainUrl(String(url || ''), Array.isArray(groupingRules) ? groupingRules : [],
+      Array.isArray(autoClosePatterns) ? autoClosePatterns : [], matchMode),
+  previewTabs: ({ groupingRules, matchMode }) =>
+    previewTabs(Array.isArray(groupingRules) ? groupingRules : [], matchMode),
+  lintRules: ({ groupingRules, autoClosePatterns, matchMode }) =>
+    lintRules(Array.isArray(groupingRules) ? groupingRules : [],
+      Array.isArray(autoClosePatterns) ? autoClosePatterns : [], matchMode),
+  // Toolbar popup
+  getWindowOverview: ({ windowId }) => getWindowOverview(windowId),
+  setGroupCollapsed: ({ groupId, collapsed }) => chrome.tabGroups.update(groupId, { collapsed: Boolean(collapsed) }),
+  closeGroup: async ({ groupId }) => {
+    const tabs = await chrome.tabs.query({ groupId });
+    if (tabs.length) await chrome.tabs.remove(tabs.map(t => t.id));
+  },
+  moveGroupToNewWindow: ({ groupId }) => moveGroupToNewWindow(groupId),
+  groupByHost: ({ windowId, host }) => groupUngroupedByHost(windowId, host),
+  createRuleFromTab: async ({ tabId }) => openRuleCreator(await chrome.tabs.get(tabId)),
+  reapplyRules: ({ tabId }) => reapplyRulesToTab(tabId),
+  closeDuplicates: () => closeAllDuplicates(),
+  restoreAutoClosed: ({ ids }) => restoreAutoClosed(Array.isArray(ids) ? ids.map(String) : []),
+  // Profiles
+  getProfiles: () => getProfiles(),
+  switchProfile: ({ profileId }) => switchProfile(String(profileId)),
+  createProfile: ({ name }) => createProfile(name),
+  renameProfile: ({ profileId, name }) => renameProfile(String(profileId), name),
+  deleteProfile: ({ profileId }) => deleteProfile(String(profileId)),
+  // Session snapshots; merging goes into the sender's window unless one is given
+  takeSessionSnapshot: () => takeSessionSnapshot('manual'),
+  restoreSessionSnapshot: ({ id, merge, windowId }, sender) =>
+    restoreSessionSnapshot(String(id), merge ? (windowId ?? (sender.tab && sender.tab.windowId)) : undefined),
+  // Linked bookmark folders
+  saveGroupToBookmarks: ({ groupId }) => saveGroupToBookmarks(Number(groupId)),
+  openBookmarkFolder: ({ ruleId, windowId }) => openBookmarkFolder(String(ruleId), windowId)
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = message && messageHandlers[message.type];
+  if (!handler) return false;
+  Promise.resolve()
+    .then(() => handler(message, sender))
+    .then(
+      result => sendResponse({ ok: true, result }),
+      e => sendResponse({ ok: false, error: String((e && e.message) || e) })
+    );
+  return true; // respond asynchronously
+});
+
+// Undo button on an auto-close notification
+chrome.notifications.onButtonClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith(AUTO_CLOSE_NOTIFICATION_PREFIX)) return;
+  chrome.notifications.clear(notificationId);
+  try {
+    await restoreAutoClosed(notificationId.slice(AUTO_CLOSE_NOTIFICATION_PREFIX.length).split(','));
+  } catch (e) {
+    console.error('Error restoring auto-closed tabs:', e);
+  }
+});
+
 // Keyboard command: open options with prepopulated rule from active tab
 chrome.commands.onCommand.addListener(async (command) => {
   if (command === 'open-rule-creator') {
     try {
       const [active] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
-      const url = active && (active.url || active.pendingUrl);
-      const host = url ? getHostFromUrl(url) : null;
-      const prepopulateRule = host ? { pattern: host, color: 'grey', title: '' } : null;
-      if (prepopulateRule) {
-        await chrome.storage.local.set({ prepopulateRule });
-      }
-      await chrome.runtime.openOptionsPage();
+      await openRuleCreator(active);
     } catch {
       chrome.runtime.openOptionsPage();
     }
@@ -656,5 +3447,28 @@ chrome.commands.onCommand.addListener(async (command) => {
     } catch (e) {
       console.error('Error collapsing groups:', e);
     }
+  } else if (command === 'switch-profile') {
+    try {
+      await switchToNextProfile();
+    } catch (e) {
+      console.error('Error switching profile:', e);
+    }
+  } else if (command === 'close-duplicate-tabs') {
+    try {
+      await closeAllDuplicates();
+    } catch (e) {
+      console.error('Error closing duplicate tabs:', e);
+    }
+  } else if (command === 'save-group-to-bookmarks') {
+    try {
+      const [active] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      if (!active || active.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) {
+        throw new Error('The active tab isn\'t in a group');
+      }
+      const { folder, added } = await saveGroupToBookmarks(active.groupId);
+      await notifyBookmarkFolder('Saved to bookmarks', `${added} page(s) added to the "${folder}" folder`);
+    } catch (e) {
+      await notifyBookmarkFolder('Couldn\'t save the group to bookmarks', String((e && e.message) || e));
+    }
   }
 });
@@ -1,6 +1,5 @@
 'use strict';
 
-const COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
 
 function $(sel, root = document) {
   return root.querySelector(sel);
@@ -22,7 +21,7 @@ function el(tag, attrs = {}, children = []) {
 
 function colorSelect(value = 'grey') {
   const select = el('select');
-  for (const c of COLORS) {
+  for (const c of GROUP_COLORS) {
     const opt = el('option', { value: c, text: c });
     if (c === value) opt.selected = true;
     select.appendChild(opt);
@@ -41,9 +40,9 @@ function delaySelect(value = 1) {
   return select;
 }
 
-function patternItem(initial = '') {
+function patternItem(initial = '', placeholder = 'example.com, *.example.com, example.com/docs/*') {
   const wrap = el('div', { class: 'pattern-item' });
-  const input = el('input', { type: 'text', placeholder: 'example.com, *.example.com, example.com/docs/*' });
+  const input = el('input', { type: 'text', placeholder });
   input.value = initial || '';
   const removeBtn = el('button', { type: 'button', class: 'tiny danger' }, 'Remove');
   removeBtn.addEventListener('click', () => {
@@ -55,20 +54,129 @@ function patternItem(initial = '') {
   return wrap;
 }
 
+// Auto-close actions; values are AUTO_CLOSE_ACTION_TYPES (schema.js)
+const AUTO_CLOSE_ACTIONS = [
+  { v: 'close', t: 'Close' },
+  { v: 'focusOpener', t: 'Close and return to opener' },
+  { v: 'moveToGroup', t: 'Move to group' },
+  { v: 'discard', t: 'Discard' }
+];
+
+// Auto-close conditions shown as checkboxes, by AUTO_CLOSE_CONDITION_KEYS key
+const AUTO_CLOSE_CONDITIONS = [
+  { key: 'openedByTab', text: 'opened by another tab' },
+  { key: 'neverActive', text: 'never active' },
+  { key: 'afterLoad', text: 'after it has loaded' }
+];
+
 function autoClosePatternItem(initial = { pattern: '', delaySeconds: 1 }) {
+  const item = el('div', { class: 'autoclose-item' });
   const wrap = el('div', { class: 'pattern-item' });
-  const input = el('input', { type: 'text', placeholder: 'example.com, *.example.com, example.com/docs/*' });
+  const input = el('input', { type: 'text', class: 'pattern-input', placeholder: 'example.com, *.example.com, example.com/docs/*' });
   input.value = (initial && initial.pattern) ? initial.pattern : '';
+  const ipExclude = el('input', { type: 'text', class: 'exclude-input', placeholder: 'Except (comma-separated)' });
+  ipExclude.value = (initial && Array.isArray(initial.excludePatterns)) ? initial.excludePatterns.join(', ') : '';
   const selDelay = delaySelect((initial && initial.delaySeconds) ? initial.delaySeconds : 1);
+  const cbDryRun = el('input', { type: 'checkbox', class: 'dry-run-input' });
+  cbDryRun.checked = Boolean(initial && initial.dryRun);
+  const dryRunLabel = el('label', { class: 'inline-option plain', title: 'Only log and list the tabs this pattern would close' },
+    [cbDryRun, 'Dry run']);
   const removeBtn = el('button', { type: 'button', class: 'tiny danger' }, 'Remove');
   removeBtn.addEventListener('click', () => {
-    wrap.remove();
+    item.remove();
     if (typeof updateUnsavedIndicator === 'function') updateUnsavedIndicator();
   });
   wrap.appendChild(input);
+  wrap.appendChild(ipExclude);
   wrap.appendChild(selDelay);
+  wrap.appendChild(dryRunLabel);
   wrap.appendChild(removeBtn);
-  return wrap;
+
+  const selAction = el('select', { class: 'action-select', 'aria-label': 'Action' });
+  for (const o of AUTO_CLOSE_ACTIONS) {
+    const opt = el('option', { value: o.v, text: o.t });
+    if (o.v === ((initial && initial.action) || 'close')) opt.selected = true;
+    selAction.appendChild(opt);
+  }
+  const ipGroup = el('input', { type: 'text', class: 'group-title-input', placeholder: 'Group title' });
+  ipGroup.value = (initial && initial.groupTitle) || '';
+  ipGroup.hidden = selAction.value !== 'moveToGroup';
+  selAction.addEventListener('change', () => {
+    ipGroup.hidden = selAction.value !== 'moveToGroup';
+  });
+  const conditions = el('div', { class: 'autoclose-conditions' }, [selAction, ipGroup, el('span', { text: 'only if' })]);
+  for (const c of AUTO_CLOSE_CONDITIONS) {
+    const cb = el('input', { type: 'checkbox', class: 'condition-input', 'data-key': c.key });
+    cb.checked = Boolean(initial && initial[c.key]);
+    conditions.appendChild(el('label', { class: 'inline-option plain' }, [cb, c.text]));
+  }
+  const ipTitle = el('input', { type: 'text', class: 'title-pattern-input', placeholder: 'Title matches (* wildcards)' });
+  ipTitle.value = (initial && initial.titlePattern) || '';
+  conditions.appendChild(ipTitle);
+  conditions.appendChild(scheduleEditor(initial && initial.schedule));
+
+  item.appendChild(wrap);
+  item.appendChild(conditions);
+  return item;
+}
+
+// Weekday names by Date#getDay() number, and the editor's Monday-first order
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+function describeSchedule(schedule) {
+  if (!schedule) return 'Schedule: always';
+  const days = schedule.days ? WEEKDAY_ORDER.filter(d => schedule.days.includes(d)).map(d => WEEKDAYS[d]).join(', ') : 'Every day';
+  return `Schedule: ${days}${schedule.ranges ? ` ${schedule.ranges.join(', ')}` : ''}`;
+}
+
+/**
+ * Collapsible per-rule schedule editor: weekday checkboxes and a list of
+ * time ranges. Nothing ticked and no ranges means the rule always applies.
+ * @param {*} schedule stored schedule
+ */
+function scheduleEditor(schedule) {
+  const initial = normalizeScheduleItem(schedule);
+  const editor = el('details', { class: 'schedule-editor' });
+  const summary = el('summary', { text: describeSchedule(initial) });
+  const days = el('div', { class: 'schedule-days' });
+  for (const d of WEEKDAY_ORDER) {
+    const cb = el('input', { type: 'checkbox', class: 'schedule-day', value: String(d) });
+    cb.checked = Boolean(initial && initial.days && initial.days.includes(d));
+    days.appendChild(el('label', {}, [cb, WEEKDAYS[d]]));
+  }
+  const ipRanges = el('input', { type: 'text', class: 'schedule-ranges', placeholder: 'All day, or e.g. 09:00-12:00, 13:00-17:00' });
+  ipRanges.value = initial && initial.ranges ? initial.ranges.join(', ') : '';
+  editor.appendChild(summary);
+  editor.appendChild(days);
+  editor.appendChild(ipRanges);
+  editor.addEventListener('input', () => {
+    summary.textContent = describeSchedule(readScheduleEditor(editor));
+  });
+  return editor;
+}
+
+/**
+ * @param {?HTMLElement} editor a scheduleEditor element
+ * @returns {?{days?:number[], ranges?:string[]}}
+ */
+function readScheduleEditor(editor) {
+  if (!editor) return null;
+  return normalizeScheduleItem({
+    days: Array.from(editor.querySelectorAll('.schedule-day:checked')).map(cb => Number(cb.value)),
+    ranges: editor.querySelector('.schedule-ranges').value.split(',')
+  });
+}
+
+/**
+ * The first schedule range that isn't "HH:MM-HH:MM", if any.
+ * @param {?{ranges?:string[]}} schedule
+ */
+function invalidScheduleRange(schedule) {
+  return ((schedule && schedule.ranges) || []).find(r => {
+    const m = SCHEDULE_RANGE_RE.exec(r);
+    return !m || Number(m[1]) * 60 + Number(m[2]) === Math.min(24 * 60, Number(m[3]) * 60 + Number(m[4]));
+  });
 }
 
 function typeSelect(value = 'group') {
@@ -85,11 +193,14 @@ function typeSelect(value = 'group') {
   return select;
 }
 
-function groupRow(group = { title: '', color: 'grey', patterns: [], type: 'group' }) {
+function groupRow(group = { title: '', color: 'grey', patterns: [], excludePatterns: [], type: 'group' }) {
   const tr = el('tr');
+  // The rule's identity survives edits, so its open groups follow renames
+  tr.dataset.ruleId = group.id || newRuleId();
+  const tdHandle = el('td', { class: 'drag-cell' });
   const tdType = el('td');
   const tdTitle = el('td');
-  const tdPatterns = el('td');
+  const tdPatterns = el('td', { class: 'patterns-cell' });
   const tdColor = el('td');
   const tdActions = el('td');
 
@@ -99,17 +210,30 @@ function groupRow(group = { title: '', color: 'grey', patterns: [], type: 'group
     const isPin = selType.value === 'pin';
     ipTitle.disabled = isPin;
     selColor.disabled = isPin;
+    ipFolder.disabled = isPin;
     if (isPin) {
       ipTitle.value = '';
       selColor.value = 'grey'; // visual reset
+      ipFolder.value = '';
     }
     if (typeof updateUnsavedIndicator === 'function') updateUnsavedIndicator();
   });
 
-  const ipTitle = el('input', { type: 'text', placeholder: 'Group title' });
+  const ipTitle = el('input', { type: 'text', class: 'title-input', placeholder: 'Group title or template, e.g. GH: {path.1}' });
   ipTitle.value = group.title || '';
 
-  const list = el('div', { class: 'pattern-list' });
+  const cbAllowDuplicates = el('input', { type: 'checkbox', class: 'allow-duplicates-input' });
+  cbAllowDuplicates.checked = Boolean(group.allowDuplicates);
+  const allowDuplicatesLabel = el('label', { class: 'row-option', title: 'Exempt tabs matching this rule from duplicate detection' },
+    [cbAllowDuplicates, 'Allow duplicates']);
+
+  // Linked bookmark folder, by title; suggestions come from #bookmark-folder-titles
+  const ipFolder = el('input', { type: 'text', class: 'bookmark-folder-input', list: 'bookmark-folder-titles', placeholder: 'none' });
+  ipFolder.value = group.bookmarkFolder || '';
+  const folderLabel = el('label', { class: 'row-option', title: 'Keep this group\'s tabs in step with a bookmark folder of this name' },
+    ['Bookmark folder', ipFolder]);
+
+  const list = el('div', { class: 'pattern-list include-list' });
   const patterns = Array.isArray(group.patterns) && group.patterns.length ? group.patterns : [''];
   for (const p of patterns) {
     list.appendChild(patternItem(p));
@@ -122,7 +246,40 @@ function groupRow(group = { title: '', color: 'grey', patterns: [], type: 'group
     if (typeof updateUnsavedIndicator === 'function') updateUnsavedIndicator();
   });
 
+  // Exclusions: URLs matching any of these fall through to later rules
+  const excludeList = el('div', { class: 'pattern-list exclude-list' });
+  const excludes = Array.isArray(group.excludePatterns) ? group.excludePatterns : [];
+  for (const p of excludes) {
+    excludeList.appendChild(patternItem(p, 'Except: mail.example.com, example.com/notifications'));
+  }
+  const addExcludeBtn = el('button', { type: 'button', class: 'tiny' }, 'Add exclude');
+  addExcludeBtn.addEventListener('click', () => {
+    excludeList.appendChild(patternItem('', 'Except: mail.example.com, example.com/notifications'));
+    const lastInput = excludeList.querySelector('.pattern-item:last-child input');
+    if (lastInput) lastInput.focus();
+    if (typeof updateUnsavedIndicator === 'function') updateUnsavedIndicator();
+  });
+
   const selColor = colorSelect(group.color || 'grey');
+  selColor.classList.add('color-select');
+
+  // Drag handle: the row is only draggable while the handle is held, so text
+  // inputs keep normal selection behaviour. Arrow keys move the row too.
+  const handle = el('button', { type: 'button', class: 'drag-handle', title: 'Drag to reorder', 'aria-label': 'Reorder rule (drag, or use arrow keys)' }, '\u2630');
+  handle.addEventListener('mousedown', () => { tr.draggable = true; });
+  handle.addEventListener('mouseup', () => { tr.draggable = false; });
+  handle.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowUp' && tr.previousElementSibling) {
+      tr.parentNode.insertBefore(tr, tr.previousElementSibling);
+    } else if (e.key === 'ArrowDown' && tr.nextElementSibling) {
+      tr.parentNode.insertBefore(tr.nextElementSibling, tr);
+    } else {
+      return;
+    }
+    e.preventDefault();
+    handle.focus();
+    if (typeof updateUnsavedIndicator === 'function') updateUnsavedIndicator();
+  });
 
   const btnRemove = el('button', { class: 'danger', type: 'button' }, 'Remove');
   btnRemove.addEventListener('click', () => {
@@ -134,15 +291,22 @@ function groupRow(group = { title: '', color: 'grey', patterns: [], type: 'group
   if (group.type === 'pin') {
     ipTitle.disabled = true;
     selColor.disabled = true;
+    ipFolder.disabled = true;
   }
 
+  tdHandle.appendChild(handle);
   tdType.appendChild(selType);
   tdTitle.appendChild(ipTitle);
+  tdTitle.appendChild(allowDuplicatesLabel);
+  tdTitle.appendChild(folderLabel);
+  tdTitle.appendChild(scheduleEditor(group.schedule));
   tdPatterns.appendChild(list);
-  tdPatterns.appendChild(addBtn);
+  tdPatterns.appendChild(excludeList);
+  tdPatterns.appendChild(el('div', { class: 'pattern-buttons' }, [addBtn, addExcludeBtn]));
   tdColor.appendChild(selColor);
   tdActions.appendChild(btnRemove);
 
+  tr.appendChild(tdHandle);
   tr.appendChild(tdType);
   tr.appendChild(tdTitle);
   tr.appendChild(tdPatterns);
@@ -156,19 +320,368 @@ function getRowsData() {
   const rows = Array.from(document.querySelectorAll('#rules-tbody tr'));
   return rows.map(row => {
     const selType = row.querySelector('.type-select');
-    const ipTitle = row.querySelector('td:nth-child(2) input'); // adjusted index
-    const list = row.querySelector('.pattern-list');
-    const selColor = row.querySelector('td:nth-child(4) select'); // adjusted index (color is 4th col now)
+    const ipTitle = row.querySelector('.title-input');
+    const list = row.querySelector('.include-list');
+    const excludeList = row.querySelector('.exclude-list');
+    const selColor = row.querySelector('.color-select');
     const patterns = Array.from(list ? list.querySelectorAll('input[type="text"]') : [])
       .map(i => (i.value || '').trim())
       .filter(Boolean);
-    return {
+    const excludePatterns = Array.from(excludeList ? excludeList.querySelectorAll('input[type="text"]') : [])
+      .map(i => (i.value || '').trim())
+      .filter(Boolean);
+    const group = {
+      id: row.dataset.ruleId,
       type: selType ? selType.value : 'group',
       title: (ipTitle.value || '').trim(),
       color: selColor.value,
       patterns
     };
+    // Only store excludes and flags when present to keep synced rules compact
+    if (excludePatterns.length) group.excludePatterns = excludePatterns;
+    const cbAllowDuplicates = row.querySelector('.allow-duplicates-input');
+    if (cbAllowDuplicates && cbAllowDuplicates.checked) group.allowDuplicates = true;
+    const schedule = readScheduleEditor(row.querySelector('.schedule-editor'));
+    if (schedule) group.schedule = schedule;
+    const ipFolder = row.querySelector('.bookmark-folder-input');
+    const folder = ipFolder ? ipFolder.value.trim() : '';
+    if (folder && group.type !== 'pin') group.bookmarkFolder = folder;
+    return group;
+  });
+}
+
+/**
+ * Drag-and-drop reordering of rule rows. Row order is rule order, which is
+ * what 'first match' mode uses to pick between overlapping rules.
+ * @param {HTMLElement} tbody
+ */
+function enableRowReordering(tbody) {
+  let dragging = null;
+  tbody.addEventListener('dragstart', (e) => {
+    dragging = e.target.closest('tr');
+    if (!dragging) return;
+    dragging.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
   });
+  tbody.addEventListener('dragover', (e) => {
+    if (!dragging) return;
+    e.preventDefault();
+    const over = e.target.closest('tr');
+    if (!over || over === dragging || over.parentNode !== tbody) return;
+    const rect = over.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    tbody.insertBefore(dragging, after ? over.nextSibling : over);
+  });
+  tbody.addEventListener('drop', (e) => {
+    if (dragging) e.preventDefault();
+  });
+  tbody.addEventListener('dragend', () => {
+    if (!dragging) return;
+    dragging.classList.remove('dragging');
+    dragging.draggable = false;
+    dragging = null;
+    updateUnsavedIndicator();
+  });
+}
+
+function getMatchModeFromUI() {
+  const cb = $('#match-specific');
+  return cb && cb.checked ? 'specific' : 'first';
+}
+
+async function loadAutoCloseNotify() {
+  const { autoCloseNotify } = await chrome.storage.sync.get({ autoCloseNotify: false });
+  $('#autoclose-notify').checked = autoCloseNotify === true;
+}
+
+// Most recent auto-close history entries shown on the page
+const AUTO_CLOSE_HISTORY_SHOWN = 50;
+
+async function renderAutoCloseHistory() {
+  const list = $('#autoclose-history');
+  const { autoCloseHistory } = await chrome.storage.local.get({ autoCloseHistory: [] });
+  const entries = Array.isArray(autoCloseHistory) ? autoCloseHistory : [];
+  list.innerHTML = '';
+  $('#autoclose-history-clear').hidden = !entries.length;
+  if (!entries.length) {
+    list.appendChild(el('li', {}, el('span', { class: 'archive-title', text: 'No tabs auto-closed yet.' })));
+    return;
+  }
+  for (const entry of entries.slice(0, AUTO_CLOSE_HISTORY_SHOWN)) {
+    const closedAt = new Date(entry.closedAt);
+    const item = el('li', {}, [
+      el('span', { class: 'archive-title', title: entry.url, text: entry.title || entry.url }),
+      el('span', { class: 'archive-date', text: `"${entry.pattern}"` }),
+      el('span', { class: 'archive-date', title: closedAt.toLocaleString(), text: closedAt.toLocaleTimeString() })
+    ]);
+    if (entry.dryRun) {
+      item.appendChild(el('span', { class: 'archive-date', text: `dry run: would ${describeAutoCloseAction(entry)}` }));
+    } else {
+      const restore = el('button', { type: 'button', class: 'tiny' }, 'Restore');
+      restore.addEventListener('click', async () => {
+        try {
+          await sendMessage('restoreAutoClosed', { ids: [entry.id] });
+        } catch (e) {
+          showStatus(`Could not restore the tab: ${e.message}`, true);
+        }
+      });
+      item.appendChild(restore);
+    }
+    list.appendChild(item);
+  }
+  if (entries.length > AUTO_CLOSE_HISTORY_SHOWN) {
+    list.appendChild(el('li', {}, el('span', { class: 'archive-title', text: `…and ${entries.length - AUTO_CLOSE_HISTORY_SHOWN} older` })));
+  }
+}
+
+async function loadMatchMode() {
+  const { matchMode } = await chrome.storage.sync.get({ matchMode: 'first' });
+  const cb = $('#match-specific');
+  if (cb) cb.checked = matchMode === 'specific';
+}
+
+// Layout select ids by setting (see LAYOUT_OPTIONS in schema.js)
+const LAYOUT_SELECTS = {
+  groupOrder: '#layout-group-order',
+  managedGroups: '#layout-managed-groups',
+  ungroupedPosition: '#layout-ungrouped',
+  sortTabsBy: '#layout-sort-tabs'
+};
+
+function getLayoutFromUI() {
+  const raw = {};
+  for (const [key, id] of Object.entries(LAYOUT_SELECTS)) {
+    const select = $(id);
+    if (select) raw[key] = select.value;
+  }
+  return normalizeLayout(raw);
+}
+
+function getDuplicateSettingsFromUI() {
+  return normalizeDuplicateSettings({
+    mode: $('#dup-mode').value,
+    ignoreHash: $('#dup-ignore-hash').checked,
+    ignoreTrailingSlash: $('#dup-ignore-slash').checked,
+    ignoreQueryParams: $('#dup-ignore-params').value.split(',')
+  });
+}
+
+async function loadDuplicateSettings() {
+  const { duplicates } = await chrome.storage.sync.get({ duplicates: null });
+  const d = normalizeDuplicateSettings(duplicates);
+  $('#dup-mode').value = d.mode;
+  $('#dup-ignore-hash').checked = d.ignoreHash;
+  $('#dup-ignore-slash').checked = d.ignoreTrailingSlash;
+  $('#dup-ignore-params').value = d.ignoreQueryParams.join(', ');
+}
+
+function getLifecycleSettingsFromUI() {
+  return normalizeLifecycleSettings({
+    discardGroupedAfterMinutes: $('#life-discard-minutes').value,
+    staleUngroupedAfterDays: $('#life-stale-days').value,
+    staleAction: $('#life-stale-action').value,
+    protectedPatterns: $('#life-protected').value.split(',')
+  });
+}
+
+async function loadLifecycleSettings() {
+  const { lifecycle } = await chrome.storage.sync.get({ lifecycle: null });
+  const l = normalizeLifecycleSettings(lifecycle);
+  $('#life-discard-minutes').value = String(l.discardGroupedAfterMinutes);
+  $('#life-stale-days').value = String(l.staleUngroupedAfterDays);
+  $('#life-stale-action').value = l.staleAction;
+  $('#life-protected').value = l.protectedPatterns.join(', ');
+}
+
+// Most recent archived tabs shown on the page
+const ARCHIVE_SHOWN = 50;
+
+async function renderArchive() {
+  const list = $('#archive-list');
+  const { tabArchive } = await chrome.storage.local.get({ tabArchive: [] });
+  const entries = Array.isArray(tabArchive) ? tabArchive : [];
+  list.innerHTML = '';
+  $('#archive-clear').hidden = !entries.length;
+  if (!entries.length) {
+    list.appendChild(el('li', {}, el('span', { class: 'archive-title', text: 'No archived tabs.' })));
+    return;
+  }
+  entries.slice(0, ARCHIVE_SHOWN).forEach((entry, index) => {
+    const open = el('button', { type: 'button', class: 'tiny' }, 'Reopen');
+    open.addEventListener('click', async () => {
+      await chrome.tabs.create({ url: entry.url, active: false });
+      await removeArchiveEntry(index);
+    });
+    list.appendChild(el('li', {}, [
+      el('span', { class: 'archive-title', title: entry.url, text: entry.title || entry.url }),
+      el('span', { class: 'archive-date', text: new Date(entry.archivedAt).toLocaleDateString() }),
+      open
+    ]));
+  });
+  if (entries.length > ARCHIVE_SHOWN) {
+    list.appendChild(el('li', {}, el('span', { class: 'archive-title', text: `…and ${entries.length - ARCHIVE_SHOWN} older` })));
+  }
+}
+
+async function removeArchiveEntry(index) {
+  const { tabArchive } = await chrome.storage.local.get({ tabArchive: [] });
+  const entries = Array.isArray(tabArchive) ? tabArchive : [];
+  entries.splice(index, 1);
+  await chrome.storage.local.set({ tabArchive: entries });
+}
+
+function getSessionSettingsFromUI() {
+  return normalizeSessionSettings({
+    snapshotEveryMinutes: $('#session-every-minutes').value,
+    snapshotOnWindowClose: $('#session-on-close').value === 'on'
+  });
+}
+
+async function loadSessionSettings() {
+  const { sessions } = await chrome.storage.sync.get({ sessions: null });
+  const settings = normalizeSessionSettings(sessions);
+  $('#session-every-minutes').value = String(settings.snapshotEveryMinutes);
+  $('#session-on-close').value = settings.snapshotOnWindowClose ? 'on' : 'off';
+}
+
+// How each session snapshot was taken, as shown in the list
+const SESSION_TRIGGERS = { manual: 'taken by hand', scheduled: 'scheduled', windowClosed: 'window closed' };
+
+async function renderSessionSnapshots() {
+  const list = $('#session-list');
+  const { sessionSnapshots } = await chrome.storage.local.get({ sessionSnapshots: [] });
+  const snapshots = Array.isArray(sessionSnapshots) ? sessionSnapshots : [];
+  list.innerHTML = '';
+  if (!snapshots.length) {
+    list.appendChild(el('li', {}, el('span', { class: 'archive-title', text: 'No snapshots yet.' })));
+    return;
+  }
+  for (const snapshot of snapshots) {
+    const count = (key) => snapshot.windows.reduce((n, w) => n + w[key].length, 0);
+    const groupTitles = snapshot.windows.flatMap(w => w.groups.map(g => g.title).filter(Boolean));
+    const restore = (label, merge) => {
+      const btn = el('button', { type: 'button', class: 'tiny' }, label);
+      btn.addEventListener('click', async () => {
+        try {
+          const restored = await sendMessage('restoreSessionSnapshot', { id: snapshot.id, merge });
+          showStatus(`Reopened ${restored} tab(s)`);
+        } catch (e) {
+          showStatus(`Could not restore the snapshot: ${e.message}`, true);
+        }
+      });
+      return btn;
+    };
+    const remove = el('button', { type: 'button', class: 'tiny' }, 'Delete');
+    remove.addEventListener('click', () => removeSessionSnapshot(snapshot.id));
+    list.appendChild(el('li', {}, [
+      el('span', {
+        class: 'archive-title',
+        title: groupTitles.join(', '),
+        text: `${snapshot.windows.length} window(s), ${count('groups')} group(s), ${count('tabs')} tab(s)`
+      }),
+      el('span', {
+        class: 'archive-date',
+        text: `${new Date(snapshot.createdAt).toLocaleString()}, ${SESSION_TRIGGERS[snapshot.trigger] || snapshot.trigger}`
+      }),
+      restore('Open in new window', false),
+      restore('Add to this window', true),
+      remove
+    ]));
+  }
+}
+
+async function removeSessionSnapshot(id) {
+  const { sessionSnapshots } = await chrome.storage.local.get({ sessionSnapshots: [] });
+  const snapshots = Array.isArray(sessionSnapshots) ? sessionSnapshots : [];
+  await chrome.storage.local.set({ sessionSnapshots: snapshots.filter(s => s.id !== id) });
+}
+
+async function loadLayout() {
+  const { layout } = await chrome.storage.sync.get({ layout: null });
+  const normalized = normalizeLayout(layout);
+  for (const [key, id] of Object.entries(LAYOUT_SELECTS)) {
+    const select = $(id);
+    if (select) select.value = normalized[key];
+  }
+}
+
+function formatKilobytes(bytes) {
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+async function renderStorageUsage() {
+  const usage = await getStorageUsage();
+  const p = $('#storage-usage');
+  const synced = `${formatKilobytes(usage.bytesInUse)} of ${formatKilobytes(usage.quotaBytes)} sync storage used`;
+  p.textContent = usage.mode === 'local'
+    ? `Rules use ${formatKilobytes(usage.ruleBytes)} on this computer. ${synced} by other settings.`
+    : `${synced}, ${formatKilobytes(usage.ruleBytes)} of it by rules.`;
+  p.classList.toggle('near-full', usage.bytesInUse > usage.quotaBytes * 0.8);
+  $('#storage-local-only').checked = usage.mode === 'local';
+}
+
+/**
+ * Explain a failed save; quota errors get the current usage and a way out.
+ * @param {Error} e
+ */
+async function describeStorageError(e) {
+  if (!isStorageQuotaError(e)) return `Couldn't save: ${e.message}`;
+  try {
+    const usage = await getStorageUsage();
+    if (usage.mode === 'sync') {
+      return `Sync storage is full (${formatKilobytes(usage.bytesInUse)} of ${formatKilobytes(usage.quotaBytes)} used). ` +
+        'Remove some rules, or store rules on this computer only (see Storage below).';
+    }
+  } catch {
+    // fall through to the generic message
+  }
+  return `Storage is full: ${e.message}`;
+}
+
+async function setLocalOnlyStorage(localOnly) {
+  try {
+    await setRuleStorageMode(localOnly ? 'local' : 'sync');
+    showStatus(localOnly ? 'Rules are now stored on this computer only' : 'Rules are synced again');
+  } catch (e) {
+    showStatus(await describeStorageError(e), true);
+  }
+  await renderStorageUsage();
+}
+
+/**
+ * Show whether the optional bookmark permission is granted and offer the
+ * existing folder titles as suggestions for the rules' folder fields.
+ */
+async function renderBookmarkAccess() {
+  const granted = await chrome.permissions.contains({ permissions: ['bookmarks'] });
+  $('#bookmarks-access').textContent = granted
+    ? 'Bookmark access is allowed.'
+    : 'Bookmark access is needed before linked folders are kept in step.';
+  $('#bookmarks-allow').hidden = granted;
+  const titles = $('#bookmark-folder-titles');
+  titles.innerHTML = '';
+  if (!granted) return;
+  const seen = new Set();
+  const stack = await chrome.bookmarks.getTree();
+  while (stack.length) {
+    const node = stack.shift();
+    if (node.url) continue;
+    if (node.parentId && node.parentId !== '0' && node.title && !seen.has(node.title)) {
+      seen.add(node.title);
+      titles.appendChild(el('option', { value: node.title }));
+    }
+    if (node.children) stack.unshift(...node.children);
+  }
+}
+
+async function allowBookmarkAccess() {
+  try {
+    const granted = await chrome.permissions.request({ permissions: ['bookmarks'] });
+    if (!granted) showStatus('Bookmark access was not allowed', true);
+  } catch (e) {
+    showStatus(`Could not request bookmark access: ${e.message}`, true);
+  }
+  await renderBookmarkAccess();
 }
 
 function showStatus(msg, isError = false) {
@@ -182,79 +695,122 @@ function showStatus(msg, isError = false) {
   }
 }
 
+function isValidHost(host) {
+  if (/^localhost$/i.test(host)) return true;
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host)) return true;
+  return /^[a-z0-9.-]+\.[a-z]{2,}$/i.test(host);
+}
+
+function isValidRegexPattern(pattern) {
+  const source = pattern.slice(REGEX_PATTERN_PREFIX.length);
+  if (!source) return false;
+  try {
+    new RegExp(source);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 function isValidPattern(pattern) {
   if (!pattern) return false;
-  // Split into host and optional path
-  const slashIdx = pattern.indexOf('/');
-  const hostPart = slashIdx >= 0 ? pattern.slice(0, slashIdx) : pattern;
-  const pathPart = slashIdx >= 0 ? pattern.slice(slashIdx) : null; // includes leading '/'
+  if (pattern.startsWith(REGEX_PATTERN_PREFIX)) return isValidRegexPattern(pattern);
+  const m = URL_PATTERN_RE.exec(pattern);
+  if (!m) return false;
+  const [, , hostPart, port, pathPart, query, hash] = m;
 
   // Host validation: exact or wildcard subdomain
   if (hostPart.startsWith('*.')) {
-    const base = hostPart.slice(2);
-    if (!/^[a-z0-9.-]+\.[a-z]{2,}$/i.test(base)) return false;
+    if (!isValidHost(hostPart.slice(2))) return false;
   } else {
-    if (!/^[a-z0-9.-]+\.[a-z]{2,}$/i.test(hostPart)) return false;
+    if (!isValidHost(hostPart)) return false;
   }
 
-  // Path validation (optional): starts with '/', no spaces allowed. '*' allowed anywhere.
-  if (pathPart != null) {
-    if (!/^\/\S*$/.test(pathPart)) return false;
+  // Port validation (optional): 1-65535 or '*'
+  if (port != null && port !== '*') {
+    const n = Number(port);
+    if (!(n >= 1 && n <= 65535)) return false;
   }
+
+  // Path, query and fragment (optional): no spaces allowed. '*' allowed anywhere.
+  if (pathPart != null && !/^\/\S*$/.test(pathPart)) return false;
+  if (query != null && /\s/.test(query)) return false;
+  if (hash != null && /\s/.test(hash)) return false;
   return true;
 }
 
+function newRuleId() {
+  return crypto.randomUUID();
+}
+
+async function renderProfiles() {
+  let state;
+  try {
+    state = await sendMessage('getProfiles');
+  } catch (e) {
+    showStatus(`Could not load profiles: ${e.message}`, true);
+    return;
+  }
+  const select = $('#profile-select');
+  select.innerHTML = '';
+  for (const p of state.profiles) {
+    const opt = el('option', { value: p.id, text: p.name });
+    if (p.id === state.activeProfileId) opt.selected = true;
+    select.appendChild(opt);
+  }
+  $('#profile-delete').disabled = state.profiles.length < 2;
+}
+
+/**
+ * Run a profile request. Switching replaces the rules on the page (see the
+ * storage listener), so it waits until unsaved edits are saved.
+ * @param {string} type message type
+ * @param {Object} payload
+ * @param {boolean} switches whether the request changes the active profile
+ */
+async function runProfileAction(type, payload, switches) {
+  if (switches && hasUnsavedChanges()) {
+    showStatus('Save your changes before switching profiles', true);
+  } else {
+    try {
+      await sendMessage(type, payload);
+      $('#profile-name').value = '';
+    } catch (e) {
+      showStatus(e.message, true);
+    }
+  }
+  await renderProfiles();
+}
+
 async function loadRules() {
-  const { groupingRules } = await chrome.storage.sync.get({ groupingRules: [] });
+  let groupingRules;
+  try {
+    ({ groupingRules } = await loadRuleData({ groupingRules: [] }));
+  } catch (e) {
+    showStatus(`${e.message}. Reload this page in a moment.`, true);
+    return;
+  }
   const tbody = $('#rules-tbody');
   tbody.innerHTML = '';
-  const data = Array.isArray(groupingRules) ? groupingRules : [];
-  // Detect schema: if has 'patterns', it's the new group schema; otherwise legacy rules
-  if (data.length && Array.isArray(data[0].patterns)) {
-    for (const g of data) {
-      tbody.appendChild(groupRow(g));
-    }
-  } else if (data.length) {
-    // Convert legacy {pattern,title?,color} into grouped rows
-    const byTitle = new Map();
-    for (const r of data) {
-      if (!r || typeof r.pattern !== 'string') continue;
-      const title = (r.title && String(r.title).trim()) || r.pattern;
-      const color = r.color || 'grey';
-      if (!byTitle.has(title)) byTitle.set(title, { title, color, patterns: [] });
-      const g = byTitle.get(title);
-      if (!g.patterns.includes(r.pattern)) g.patterns.push(r.pattern);
-      if (g.color === 'grey' && color !== 'grey') g.color = color;
-    }
-    const groups = Array.from(byTitle.values());
-    for (const g of groups) {
-      tbody.appendChild(groupRow(g));
-    }
-    try {
-      await chrome.storage.sync.set({ groupingRules: groups });
-    } catch { }
-  } else {
-    tbody.appendChild(groupRow());
+  const rules = normalizeGroupingRules(groupingRules);
+  for (const g of rules) {
+    tbody.appendChild(groupRow(g));
   }
+  if (!rules.length) tbody.appendChild(groupRow());
 }
 
 async function loadAutoClosePatterns() {
-  const { autoClosePatterns } = await chrome.storage.sync.get({ autoClosePatterns: [] });
   const list = $('#autoclose-list');
   if (!list) return;
-  list.innerHTML = '';
-  const raw = Array.isArray(autoClosePatterns) ? autoClosePatterns : [];
-  const items = [];
-  for (const it of raw) {
-    if (typeof it === 'string') {
-      items.push({ pattern: it, delaySeconds: 1 });
-    } else if (it && typeof it.pattern === 'string') {
-      let d = Number(it.delaySeconds ?? it.delay);
-      if (!Number.isFinite(d)) d = 1;
-      d = Math.min(10, Math.max(1, Math.floor(d)));
-      items.push({ pattern: it.pattern, delaySeconds: d });
-    }
+  let autoClosePatterns;
+  try {
+    ({ autoClosePatterns } = await loadRuleData({ autoClosePatterns: [] }));
+  } catch (e) {
+    showStatus(`${e.message}. Reload this page in a moment.`, true);
+    return;
   }
+  list.innerHTML = '';
+  const items = normalizeAutoCloseItems(autoClosePatterns);
   if (items.length === 0) {
     list.appendChild(autoClosePatternItem({ pattern: '', delaySeconds: 1 }));
     return;
@@ -268,7 +824,7 @@ function addAutoClosePattern() {
   const list = $('#autoclose-list');
   if (!list) return;
   list.appendChild(autoClosePatternItem({ pattern: '', delaySeconds: 1 }));
-  const lastInput = list.querySelector('.pattern-item:last-child input');
+  const lastInput = list.querySelector('.autoclose-item:last-child .pattern-input');
   if (lastInput) lastInput.focus();
   if (typeof updateUnsavedIndicator === 'function') updateUnsavedIndicator();
 }
@@ -276,15 +832,35 @@ function addAutoClosePattern() {
 function getAutoClosePatternsFromUI() {
   const list = $('#autoclose-list');
   if (!list) return [];
-  const rows = Array.from(list.querySelectorAll('.pattern-item'));
+  const rows = Array.from(list.querySelectorAll('.autoclose-item'));
   const out = [];
   for (const row of rows) {
-    const ip = row.querySelector('input[type="text"]');
-    const sel = row.querySelector('select');
+    const ip = row.querySelector('.pattern-input');
+    const ipExclude = row.querySelector('.exclude-input');
+    const sel = row.querySelector('.delay-select');
     const pattern = (ip && ip.value ? ip.value.trim() : '');
     if (!pattern) continue;
     const delaySeconds = Math.min(10, Math.max(1, Math.floor(Number(sel && sel.value ? sel.value : 1))));
-    out.push({ pattern, delaySeconds });
+    const excludePatterns = (ipExclude && ipExclude.value ? ipExclude.value : '')
+      .split(',')
+      .map(p => p.trim())
+      .filter(Boolean);
+    const item = { pattern, delaySeconds };
+    if (excludePatterns.length) item.excludePatterns = excludePatterns;
+    const cbDryRun = row.querySelector('.dry-run-input');
+    if (cbDryRun && cbDryRun.checked) item.dryRun = true;
+    // Like group flags, only non-default actions and conditions are stored
+    const action = row.querySelector('.action-select').value;
+    if (action !== 'close') item.action = action;
+    if (action === 'moveToGroup') item.groupTitle = row.querySelector('.group-title-input').value.trim();
+    for (const cb of row.querySelectorAll('.condition-input')) {
+      if (cb.checked) item[cb.dataset.key] = true;
+    }
+    const titlePattern = row.querySelector('.title-pattern-input').value.trim();
+    if (titlePattern) item.titlePattern = titlePattern;
+    const schedule = readScheduleEditor(row.querySelector('.schedule-editor'));
+    if (schedule) item.schedule = schedule;
+    out.push(item);
   }
   return out;
 }
@@ -295,49 +871,104 @@ function getGroupsFromUIForCompare() {
   return groups.filter(g => (g.title && g.title.trim()) || (Array.isArray(g.patterns) && g.patterns.length > 0));
 }
 
-async function saveRules() {
-  const groups = getRowsData();
-  // Validate
+/**
+ * Validate grouping and auto-close rules in the shape getRowsData and
+ * getAutoClosePatternsFromUI produce.
+ * @returns {string|null} the first problem found, or null when valid
+ */
+function validateRules(groups, autoClosePatterns) {
   for (let i = 0; i < groups.length; i++) {
     const g = groups[i];
     if (g.type !== 'pin' && !g.title) {
-      showStatus(`Row ${i + 1}: Title is required for groups`, true);
-      return;
+      return `Row ${i + 1}: Title is required for groups`;
     }
-    if (!COLORS.includes(g.color)) {
-      showStatus(`Row ${i + 1}: Invalid color`, true);
-      return;
+    if (!GROUP_COLORS.includes(g.color)) {
+      return `Row ${i + 1}: Invalid color`;
     }
     if (!g.patterns.length) {
-      showStatus(`Row ${i + 1}: Add at least one pattern`, true);
-      return;
+      return `Row ${i + 1}: Add at least one pattern`;
     }
     for (let j = 0; j < g.patterns.length; j++) {
       if (!isValidPattern(g.patterns[j])) {
-        showStatus(`Row ${i + 1}: Invalid pattern "${g.patterns[j]}"`, true);
-        return;
+        return `Row ${i + 1}: Invalid pattern "${g.patterns[j]}"`;
+      }
+    }
+    for (const p of g.excludePatterns || []) {
+      if (!isValidPattern(p)) {
+        return `Row ${i + 1}: Invalid exclude pattern "${p}"`;
       }
     }
+    const badRange = invalidScheduleRange(g.schedule);
+    if (badRange) {
+      return `Row ${i + 1}: Invalid schedule time "${badRange}" (use HH:MM-HH:MM)`;
+    }
+    if (g.bookmarkFolder && /\{[^{}]+\}/.test(g.title)) {
+      return `Row ${i + 1}: A bookmark folder needs a fixed title, not a template`;
+    }
   }
-  // Validate auto-close patterns
-  const autoClosePatterns = getAutoClosePatternsFromUI();
   for (let k = 0; k < autoClosePatterns.length; k++) {
     const it = autoClosePatterns[k];
     if (!isValidPattern(it.pattern)) {
-      showStatus(`Auto-close: Invalid pattern "${it.pattern}"`, true);
-      return;
+      return `Auto-close: Invalid pattern "${it.pattern}"`;
+    }
+    const badExclude = (it.excludePatterns || []).find(p => !isValidPattern(p));
+    if (badExclude) {
+      return `Auto-close: Invalid exclude pattern "${badExclude}" for "${it.pattern}"`;
     }
     if (!(Number.isFinite(it.delaySeconds) && it.delaySeconds >= 1 && it.delaySeconds <= 10)) {
-      showStatus(`Auto-close: Invalid delay "${it.delaySeconds}" for "${it.pattern}"`, true);
-      return;
+      return `Auto-close: Invalid delay "${it.delaySeconds}" for "${it.pattern}"`;
+    }
+    if (it.action === 'moveToGroup' && !it.groupTitle) {
+      return `Auto-close: Enter the group to move "${it.pattern}" tabs to`;
     }
+    const badRange = invalidScheduleRange(it.schedule);
+    if (badRange) {
+      return `Auto-close: Invalid schedule time "${badRange}" for "${it.pattern}" (use HH:MM-HH:MM)`;
+    }
+  }
+  return null;
+}
+
+async function saveRules() {
+  const groups = getRowsData();
+  const autoClosePatterns = getAutoClosePatternsFromUI();
+  const error = validateRules(groups, autoClosePatterns);
+  if (error) {
+    showStatus(error, true);
+    return false;
+  }
+  const matchMode = getMatchModeFromUI();
+  const layout = getLayoutFromUI();
+  const duplicates = getDuplicateSettingsFromUI();
+  const lifecycle = getLifecycleSettingsFromUI();
+  const badProtected = lifecycle.protectedPatterns.find(p => !isValidPattern(p));
+  if (badProtected) {
+    showStatus(`Invalid protected pattern: ${badProtected}`, true);
+    return false;
+  }
+  const autoCloseNotify = $('#autoclose-notify').checked;
+  const sessions = getSessionSettingsFromUI();
+  try {
+    // Rules go through storage.js (sharded, or local-only); settings are small
+    await saveRuleData({ groupingRules: groups, autoClosePatterns });
+    await chrome.storage.sync.set({ autoCloseNotify, matchMode, layout, duplicates, lifecycle, sessions });
+  } catch (e) {
+    showStatus(await describeStorageError(e), true);
+    renderStorageUsage();
+    return false;
   }
-  await chrome.storage.sync.set({ groupingRules: groups, autoClosePatterns });
   showStatus('Saved');
   // Update snapshots and indicator
-  lastSavedGroupsJson = serializeForCompare(groups);
+  lastSavedGroupsJson = serializeGroupsForCompare(groups);
   lastSavedAutoJson = serializeForCompare(autoClosePatterns);
+  lastSavedAutoCloseNotify = autoCloseNotify;
+  lastSavedMatchMode = matchMode;
+  lastSavedLayoutJson = serializeForCompare(layout);
+  lastSavedDuplicatesJson = serializeForCompare(duplicates);
+  lastSavedLifecycleJson = serializeForCompare(lifecycle);
+  lastSavedSessionsJson = serializeForCompare(sessions);
   updateUnsavedIndicator();
+  return true;
 }
 
 function addRuleRow() {
@@ -353,14 +984,552 @@ function applyPrepopulatedRule(pre) {
   const row = groupRow({
     type: 'group',
     title: (pre.title && String(pre.title).trim()) || pre.pattern,
-    color: (pre.color && COLORS.includes(pre.color)) ? pre.color : 'grey',
+    color: (pre.color && GROUP_COLORS.includes(pre.color)) ? pre.color : 'grey',
     patterns: [pre.pattern]
   });
   tbody.insertBefore(row, tbody.firstChild);
-  const ipTitle = row.querySelector('input');
+  const ipTitle = row.querySelector('.title-input');
   if (ipTitle) ipTitle.focus();
 }
 
+// ===== Import / export =====
+const EXPORT_FORMAT = 'auto-tab-grouper-rules';
+const EXPORT_VERSION = 1;
+
+// Parsed file waiting for the user to confirm, as { groups, autoClosePatterns }
+let pendingImport = null;
+
+/**
+ * Bring an imported group into the shape getRowsData produces.
+ * @param {Object} g
+ */
+function toRowData(g) {
+  const type = g && g.type === 'pin' ? 'pin' : 'group';
+  const row = {
+    id: g && typeof g.id === 'string' && g.id ? g.id : newRuleId(),
+    type,
+    title: type === 'pin' ? '' : String((g && g.title) || '').trim(),
+    color: g && GROUP_COLORS.includes(g.color) ? g.color : 'grey',
+    patterns: (g && Array.isArray(g.patterns) ? g.patterns : []).map(p => String(p).trim()).filter(Boolean)
+  };
+  const excludes = (g && Array.isArray(g.excludePatterns) ? g.excludePatterns : []).map(p => String(p).trim()).filter(Boolean);
+  if (excludes.length) row.excludePatterns = excludes;
+  if (g && g.allowDuplicates) row.allowDuplicates = true;
+  const schedule = normalizeScheduleItem(g && g.schedule);
+  if (schedule) row.schedule = schedule;
+  const folder = g && typeof g.bookmarkFolder === 'string' ? g.bookmarkFolder.trim() : '';
+  if (folder && type !== 'pin') row.bookmarkFolder = folder;
+  return row;
+}
+
+/**
+ * Parse an exported rules file. Accepts the versioned document, a bare
+ * groupingRules array, and legacy single-pattern rules (see
+ * migrateLegacyRules in schema.js). Throws with a user-facing message.
+ * @param {string} text
+ * @returns {{groups:Array<Object>, autoClosePatterns:Array<Object>}}
+ */
+function parseRulesDocument(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  let groupingRules = null;
+  let autoClosePatterns = [];
+  if (Array.isArray(doc)) {
+    groupingRules = doc;
+  } else if (doc && typeof doc === 'object') {
+    if (doc.format != null && doc.format !== EXPORT_FORMAT) {
+      throw new Error(`Unknown file format "${doc.format}"`);
+    }
+    if (Number(doc.version) > EXPORT_VERSION) {
+      throw new Error(`The file is version ${doc.version}; this extension reads up to version ${EXPORT_VERSION}`);
+    }
+    groupingRules = doc.groupingRules;
+    autoClosePatterns = doc.autoClosePatterns == null ? [] : doc.autoClosePatterns;
+  }
+  if (!Array.isArray(groupingRules) || !Array.isArray(autoClosePatterns)) {
+    throw new Error('No rules found in the file');
+  }
+  const groups = (isLegacyGroupingRules(groupingRules) ? migrateLegacyRules(groupingRules) : groupingRules).map(toRowData);
+  return { groups, autoClosePatterns: normalizeAutoCloseItems(autoClosePatterns) };
+}
+
+// Identity used when merging: group title, or the patterns of a pin rule
+function importKey(g) {
+  return g.type === 'pin' ? `pin:${g.patterns.join(' ')}` : `group:${g.title}`;
+}
+
+/**
+ * Combine current and imported rules.
+ *  - replace: imported rules only
+ *  - merge:   imported groups replace current groups with the same title (in
+ *             place, keeping the current rule's id); new ones and new
+ *             auto-close patterns are appended
+ *  - append:  everything imported is added after the current rules
+ * Rule ids that would collide (e.g. appending the same file twice) are renewed.
+ */
+function combineRules(current, imported, strategy) {
+  const uniqueIds = (groups) => {
+    const seen = new Set();
+    return groups.map(g => {
+      const unique = seen.has(g.id) ? { ...g, id: newRuleId() } : g;
+      seen.add(unique.id);
+      return unique;
+    });
+  };
+  if (strategy === 'replace') {
+    return { groups: uniqueIds(imported.groups), autoClosePatterns: imported.autoClosePatterns };
+  }
+  if (strategy === 'append') {
+    return {
+      groups: uniqueIds(current.groups.concat(imported.groups)),
+      autoClosePatterns: current.autoClosePatterns.concat(imported.autoClosePatterns)
+    };
+  }
+  const incoming = new Map(imported.groups.map(g => [importKey(g), g]));
+  const merged = current.groups.map(g => {
+    const key = importKey(g);
+    if (!incoming.has(key)) return g;
+    const replacement = incoming.get(key);
+    incoming.delete(key);
+    return { ...replacement, id: g.id };
+  });
+  const groups = uniqueIds(merged.concat(Array.from(incoming.values())));
+  const currentPatterns = new Map(current.autoClosePatterns.map((a, i) => [a.pattern, i]));
+  const autoClosePatterns = current.autoClosePatterns.slice();
+  for (const a of imported.autoClosePatterns) {
+    if (currentPatterns.has(a.pattern)) autoClosePatterns[currentPatterns.get(a.pattern)] = a;
+    else autoClosePatterns.push(a);
+  }
+  return { groups, autoClosePatterns };
+}
+
+/**
+ * Describe what applying an import would change, as human-readable lines.
+ */
+function diffRules(current, next) {
+  const lines = [];
+  const name = (g) => (g.type === 'pin' ? `pin rule (${g.patterns.join(', ')})` : `group "${g.title}"`);
+  // Ids are bookkeeping, not content the user would call a change
+  const content = ({ id, ...g }) => serializeForCompare(g);
+  const countKeys = (list) => list.reduce((m, g) => m.set(importKey(g), (m.get(importKey(g)) || 0) + 1), new Map());
+  const before = countKeys(current.groups);
+  const after = countKeys(next.groups);
+  const seen = new Set();
+  for (const g of next.groups) {
+    const key = importKey(g);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const old = current.groups.find(c => importKey(c) === key);
+    if (!old) {
+      lines.push({ kind: 'added', text: `Add ${name(g)}: ${g.patterns.join(', ')}` });
+    } else if ((after.get(key) || 0) > (before.get(key) || 0)) {
+      lines.push({ kind: 'added', text: `Add another ${name(g)} (same title as an existing group)` });
+    } else if (content(old) !== content(next.groups.find(n => importKey(n) === key))) {
+      lines.push({ kind: 'changed', text: `Update ${name(g)}` });
+    }
+  }
+  for (const g of current.groups) {
+    if (!after.has(importKey(g)) && !seen.has(`removed:${importKey(g)}`)) {
+      seen.add(`removed:${importKey(g)}`);
+      lines.push({ kind: 'removed', text: `Remove ${name(g)}` });
+    }
+  }
+  const oldAuto = new Map(current.autoClosePatterns.map(a => [a.pattern, a]));
+  const newAuto = new Map(next.autoClosePatterns.map(a => [a.pattern, a]));
+  for (const [pattern, a] of newAuto) {
+    if (!oldAuto.has(pattern)) lines.push({ kind: 'added', text: `Add auto-close "${pattern}"` });
+    else if (serializeForCompare(oldAuto.get(pattern)) !== serializeForCompare(a)) {
+      lines.push({ kind: 'changed', text: `Update auto-close "${pattern}"` });
+    }
+  }
+  if (next.autoClosePatterns.length > newAuto.size || current.autoClosePatterns.length > oldAuto.size) {
+    lines.push({ kind: 'changed', text: 'Some auto-close patterns appear more than once' });
+  }
+  for (const pattern of oldAuto.keys()) {
+    if (!newAuto.has(pattern)) lines.push({ kind: 'removed', text: `Remove auto-close "${pattern}"` });
+  }
+  return lines;
+}
+
+function currentRulesForImport() {
+  return { groups: getGroupsFromUIForCompare(), autoClosePatterns: getAutoClosePatternsFromUI() };
+}
+
+function renderImportPreview() {
+  const out = $('#import-preview');
+  const apply = $('#import-apply');
+  const cancel = $('#import-cancel');
+  if (!out) return;
+  out.innerHTML = '';
+  const active = Boolean(pendingImport);
+  apply.hidden = !active;
+  cancel.hidden = !active;
+  if (!active) return;
+  const current = currentRulesForImport();
+  const next = combineRules(current, pendingImport, $('#import-strategy').value);
+  const lines = diffRules(current, next);
+  out.appendChild(el('p', {
+    text: `${pendingImport.groups.length} group(s) and ${pendingImport.autoClosePatterns.length} auto-close pattern(s) in file.`
+  }));
+  if (!lines.length) {
+    out.appendChild(el('p', { text: 'No changes: the file matches the current rules.' }));
+    return;
+  }
+  out.appendChild(el('ul', { class: 'diff' }, lines.map(l => el('li', { class: `diff-${l.kind}`, text: l.text }))));
+}
+
+async function exportRules() {
+  const { groupingRules, autoClosePatterns } = await loadRuleData({ groupingRules: [], autoClosePatterns: [] });
+  const doc = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    groupingRules: normalizeGroupingRules(groupingRules),
+    autoClosePatterns: normalizeAutoCloseItems(autoClosePatterns)
+  };
+  const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = el('a', { href: url, download: `tab-grouper-rules-${doc.exportedAt.slice(0, 10)}.json` });
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  showStatus('Exported saved rules');
+}
+
+async function readImportFile(file) {
+  pendingImport = null;
+  try {
+    const imported = parseRulesDocument(await file.text());
+    const error = validateRules(imported.groups, imported.autoClosePatterns);
+    if (error) throw new Error(error);
+    pendingImport = imported;
+  } catch (e) {
+    showStatus(`Import: ${e.message}`, true);
+  }
+  renderImportPreview();
+}
+
+function fillRulesUI(groups, autoClosePatterns) {
+  const tbody = $('#rules-tbody');
+  tbody.innerHTML = '';
+  for (const g of groups) tbody.appendChild(groupRow(g));
+  if (!groups.length) tbody.appendChild(groupRow());
+  const list = $('#autoclose-list');
+  list.innerHTML = '';
+  for (const a of autoClosePatterns) list.appendChild(autoClosePatternItem(a));
+  if (!autoClosePatterns.length) list.appendChild(autoClosePatternItem({ pattern: '', delaySeconds: 1 }));
+}
+
+async function applyImport() {
+  if (!pendingImport) return;
+  const next = combineRules(currentRulesForImport(), pendingImport, $('#import-strategy').value);
+  fillRulesUI(next.groups, next.autoClosePatterns);
+  if (await saveRules()) {
+    pendingImport = null;
+    $('#import-file').value = '';
+    renderImportPreview();
+    showStatus('Imported and saved');
+  }
+}
+
+// Rule history entry whose changes are shown, by id
+let shownRuleHistoryId = null;
+
+/**
+ * A rule history entry in the shape getRowsData and getAutoClosePatternsFromUI produce.
+ * @param {{groupingRules:Array<Object>, autoClosePatterns:Array<Object>}} entry
+ */
+function ruleHistoryRules(entry) {
+  return {
+    groups: normalizeGroupingRules(entry.groupingRules).map(toRowData),
+    autoClosePatterns: normalizeAutoCloseItems(entry.autoClosePatterns)
+  };
+}
+
+async function renderRuleHistory() {
+  const list = $('#rule-history');
+  const [{ ruleHistory }, profileState] = await Promise.all([
+    chrome.storage.local.get({ ruleHistory: [] }),
+    sendMessage('getProfiles').catch(() => null)
+  ]);
+  const entries = Array.isArray(ruleHistory) ? ruleHistory : [];
+  // Entries are only labelled with their profile when there is more than one
+  const profileNames = profileState && profileState.profiles.length > 1
+    ? new Map(profileState.profiles.map(p => [p.id, p.name]))
+    : null;
+  list.innerHTML = '';
+  $('#rule-history-clear').hidden = !entries.length;
+  if (!entries.some(e => e.id === shownRuleHistoryId)) shownRuleHistoryId = null;
+  renderRuleHistoryDiff(entries);
+  if (!entries.length) {
+    list.appendChild(el('li', {}, el('span', { class: 'archive-title', text: 'No rule changes recorded yet.' })));
+    return;
+  }
+  const current = currentRulesForImport();
+  const activeProfileId = profileState ? profileState.activeProfileId : null;
+  for (const entry of entries) {
+    const rules = ruleHistoryRules(entry);
+    const savedAt = new Date(entry.savedAt);
+    let label = `${rules.groups.length} group(s), ${rules.autoClosePatterns.length} auto-close pattern(s)`;
+    if (profileNames) label += ` (${profileNames.get(entry.profileId) || 'deleted profile'})`;
+    const item = el('li', {}, [
+      el('span', { class: 'archive-title', text: label }),
+      el('span', { class: 'archive-date', text: savedAt.toLocaleString() })
+    ]);
+    if (activeProfileId && entry.profileId !== activeProfileId) {
+      // The page shows the active profile's rules; restoring would overwrite them
+      item.appendChild(el('span', { class: 'archive-date', text: 'switch to its profile to restore it' }));
+    } else if (!diffRules(current, rules).length) {
+      item.appendChild(el('span', { class: 'archive-date', text: 'same as the rules above' }));
+    } else {
+      const changes = el('button', { type: 'button', class: 'tiny' }, 'Changes');
+      changes.addEventListener('click', () => {
+        shownRuleHistoryId = shownRuleHistoryId === entry.id ? null : entry.id;
+        renderRuleHistoryDiff(entries);
+      });
+      const restore = el('button', { type: 'button', class: 'tiny' }, 'Restore this version');
+      restore.addEventListener('click', () => restoreRuleHistoryEntry(entry));
+      item.appendChild(changes);
+      item.appendChild(restore);
+    }
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Show what restoring the selected history entry would change on this page.
+ * @param {Array<Object>} entries
+ */
+function renderRuleHistoryDiff(entries) {
+  const out = $('#rule-history-diff');
+  out.innerHTML = '';
+  const entry = entries.find(e => e.id === shownRuleHistoryId);
+  if (!entry) return;
+  const lines = diffRules(currentRulesForImport(), ruleHistoryRules(entry));
+  out.appendChild(el('p', { text: `Restoring the version from ${new Date(entry.savedAt).toLocaleString()} would:` }));
+  if (!lines.length) {
+    out.appendChild(el('p', { text: 'Change nothing: it matches the rules above.' }));
+    return;
+  }
+  out.appendChild(el('ul', { class: 'diff' }, lines.map(l => el('li', { class: `diff-${l.kind}`, text: l.text }))));
+}
+
+async function restoreRuleHistoryEntry(entry) {
+  if (hasUnsavedChanges()) {
+    showStatus('Save your changes before restoring an earlier version', true);
+    return;
+  }
+  // The profile may have been switched (e.g. from the popup) since the list was shown
+  const profileState = await sendMessage('getProfiles').catch(() => null);
+  if (profileState && entry.profileId !== profileState.activeProfileId) {
+    showStatus('This version belongs to another profile: switch to it to restore it', true);
+    renderRuleHistory();
+    return;
+  }
+  const rules = ruleHistoryRules(entry);
+  fillRulesUI(rules.groups, rules.autoClosePatterns);
+  if (await saveRules()) {
+    shownRuleHistoryId = null;
+    showStatus(`Restored the rules from ${new Date(entry.savedAt).toLocaleString()}`);
+  }
+}
+
+/**
+ * Send a request to the service worker's message channel.
+ * @param {string} type
+ * @param {Object=} payload
+ */
+async function sendMessage(type, payload = {}) {
+  const res = await chrome.runtime.sendMessage({ type, ...payload });
+  if (!res || !res.ok) throw new Error((res && res.error) || 'No response from the extension');
+  return res.result;
+}
+
+function ruleLabel(rule) {
+  const name = rule.type === 'pin' ? 'Pin' : `"${rule.title || 'untitled'}"`;
+  return `Row ${rule.index + 1} (${name})`;
+}
+
+function describeTarget(target) {
+  if (target.type === 'pin') return 'Pinned';
+  if (target.type === 'group') return `Group "${target.title}"`;
+  return 'Ungrouped';
+}
+
+function describeRuleResult(rule) {
+  switch (rule.status) {
+    case 'matched':
+      return `matches "${rule.pattern}"`;
+    case 'shadowed':
+      return `"${rule.pattern}" matches, but row ${rule.winnerIndex + 1} comes first`;
+    case 'outranked':
+      return `"${rule.pattern}" matches, but row ${rule.winnerIndex + 1} has a more specific pattern`;
+    case 'excluded':
+      return `"${rule.pattern}" matches, but it is excluded by "${rule.excludePattern}"`;
+    case 'off-schedule':
+      return `"${rule.pattern}" matches, but the rule's schedule is off right now`;
+    case 'missing-placeholder':
+      return `"${rule.pattern}" matches, but the title template has a placeholder this URL has no value for`;
+    case 'incomplete':
+      return 'ignored: needs a title and at least one pattern';
+    default:
+      return 'no pattern matches';
+  }
+}
+
+/**
+ * The conditions an auto-close rule checks when its delay is up, as text.
+ * @param {Object} rule
+ */
+function describeAutoCloseConditions(rule) {
+  const conditions = AUTO_CLOSE_CONDITIONS.filter(c => rule[c.key]).map(c => c.text);
+  if (rule.titlePattern) conditions.push(`title matches "${rule.titlePattern}"`);
+  return conditions.length ? `, only if ${conditions.join(' and ')}` : '';
+}
+
+function describeAutoCloseResult(rule) {
+  switch (rule.status) {
+    case 'matched':
+      return `${rule.dryRun ? 'would ' : ''}${describeAutoCloseAction(rule)} after ${rule.delaySeconds}s` +
+        `${describeAutoCloseConditions(rule)}${rule.dryRun ? ' (dry run)' : ''}`;
+    case 'shadowed':
+      return 'matches, but an earlier auto-close rule applies';
+    case 'excluded':
+      return `excluded by "${rule.excludePattern}"`;
+    case 'off-schedule':
+      return 'matches, but its schedule is off right now';
+    default:
+      return 'no match';
+  }
+}
+
+function statusBadge(status) {
+  return el('span', { class: `rule-status ${status}`, text: status });
+}
+
+async function runTester() {
+  const out = $('#tester-result');
+  const ip = $('#tester-url');
+  if (!out || !ip) return;
+  const url = ip.value.trim();
+  out.innerHTML = '';
+  if (!url) return;
+  let result;
+  try {
+    result = await sendMessage('explainUrl', {
+      url,
+      groupingRules: getRowsData(),
+      autoClosePatterns: getAutoClosePatternsFromUI(),
+      matchMode: getMatchModeFromUI()
+    });
+  } catch (e) {
+    out.appendChild(el('p', { class: 'err', text: `Could not test URL: ${e.message}` }));
+    return;
+  }
+  if (!result.supported) {
+    out.appendChild(el('p', { text: 'Not an http(s) URL, so no rules apply.' }));
+    return;
+  }
+  const winner = result.match;
+  const winnerRule = winner ? result.rules[winner.ruleIndex] : null;
+  out.appendChild(el('p', {}, [
+    el('strong', { text: winner ? describeTarget(winner) : 'No group or pin rule matches' }),
+    winner ? ` — ${ruleLabel(winnerRule)} via "${winner.pattern}"` : ''
+  ]));
+  out.appendChild(el('p', {
+    text: result.autoClose
+      ? `Auto-close: "${result.autoClose.pattern}" — ${describeAutoCloseResult({ ...result.autoClose, status: 'matched' })}`
+      : 'Auto-close: no rule applies'
+  }));
+  if (result.rules.length) {
+    out.appendChild(el('ul', {}, result.rules.map(r =>
+      el('li', {}, [statusBadge(r.status), ` ${ruleLabel(r)}: ${describeRuleResult(r)}`]))));
+  }
+  if (result.autoCloseRules.length) {
+    out.appendChild(el('ul', {}, result.autoCloseRules.map(r =>
+      el('li', {}, [statusBadge(r.status), ` Auto-close "${r.pattern}": ${describeAutoCloseResult(r)}`]))));
+  }
+}
+
+async function refreshPreview() {
+  const out = $('#preview');
+  if (!out) return;
+  let rows;
+  try {
+    rows = await sendMessage('previewTabs', { groupingRules: getRowsData(), matchMode: getMatchModeFromUI() });
+  } catch (e) {
+    out.innerHTML = '';
+    out.appendChild(el('p', { class: 'err', text: `Could not preview tabs: ${e.message}` }));
+    return;
+  }
+  const changesOnly = $('#preview-changes-only') && $('#preview-changes-only').checked;
+  const shown = rows
+    .map(r => ({ ...r, changed: describeTarget(r.current) !== describeTarget(r.target) }))
+    .filter(r => !changesOnly || r.changed);
+  out.innerHTML = '';
+  if (!shown.length) {
+    out.appendChild(el('p', { text: changesOnly ? 'Saving would not move any open tabs.' : 'No open tabs.' }));
+    return;
+  }
+  const tbody = el('tbody', {}, shown.map(r => el('tr', { class: r.changed ? 'changed' : '' }, [
+    el('td', {}, [r.title, el('span', { class: 'tab-url', text: r.url })]),
+    el('td', { text: describeTarget(r.current) }),
+    el('td', { text: r.target.overridden ? `${describeTarget(r.target)} (moved by hand)` : describeTarget(r.target) })
+  ])));
+  const thead = el('thead', {}, el('tr', {}, [
+    el('th', { text: 'Tab' }),
+    el('th', { text: 'Now' }),
+    el('th', { text: 'After Save' })
+  ]));
+  out.appendChild(el('table', { class: 'preview' }, [thead, tbody]));
+}
+
+/**
+ * Lint the rules on the page and show warnings inline on the offending rows.
+ * Warnings are advisory; saving is never blocked by them.
+ */
+async function refreshLint() {
+  const rows = Array.from(document.querySelectorAll('#rules-tbody tr'));
+  let results;
+  try {
+    results = await sendMessage('lintRules', {
+      groupingRules: getRowsData(),
+      autoClosePatterns: getAutoClosePatternsFromUI(),
+      matchMode: getMatchModeFromUI()
+    });
+  } catch {
+    return; // lint is best-effort
+  }
+  for (const row of rows) {
+    row.classList.remove('has-warnings');
+    const old = row.querySelector('.row-warnings');
+    if (old) old.remove();
+  }
+  for (const { index, warnings } of results) {
+    const row = rows[index];
+    const cell = row && row.querySelector('.patterns-cell');
+    if (!cell) continue;
+    row.classList.add('has-warnings');
+    cell.appendChild(el('ul', { class: 'row-warnings' }, warnings.map(w => el('li', { text: w }))));
+  }
+}
+
+// Debounce tester, preview and lint refreshes while rules are being edited
+let liveUpdateTimer = null;
+function scheduleLiveUpdate() {
+  clearTimeout(liveUpdateTimer);
+  liveUpdateTimer = setTimeout(() => {
+    runTester();
+    refreshPreview();
+    refreshLint();
+  }, 300);
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
   $('#add-rule').addEventListener('click', addRuleRow);
   $('#save-rules').addEventListener('click', saveRules);
@@ -368,12 +1537,69 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (addAutoBtn) addAutoBtn.addEventListener('click', addAutoClosePattern);
   const saveAutoBtn = $('#save-autoclose');
   if (saveAutoBtn) saveAutoBtn.addEventListener('click', saveRules);
+  const saveLayoutBtn = $('#save-layout');
+  if (saveLayoutBtn) saveLayoutBtn.addEventListener('click', saveRules);
+  $('#save-duplicates').addEventListener('click', saveRules);
+  $('#save-lifecycle').addEventListener('click', saveRules);
+  $('#save-sessions').addEventListener('click', saveRules);
+  $('#session-snapshot').addEventListener('click', async () => {
+    try {
+      await sendMessage('takeSessionSnapshot');
+      showStatus('Snapshot taken');
+    } catch (e) {
+      showStatus(`Could not take a snapshot: ${e.message}`, true);
+    }
+  });
+  $('#archive-clear').addEventListener('click', () => chrome.storage.local.set({ tabArchive: [] }));
+  $('#profile-select').addEventListener('change', (e) =>
+    runProfileAction('switchProfile', { profileId: e.target.value }, true));
+  $('#profile-create').addEventListener('click', () =>
+    runProfileAction('createProfile', { name: $('#profile-name').value }, true));
+  $('#profile-rename').addEventListener('click', () =>
+    runProfileAction('renameProfile', { profileId: $('#profile-select').value, name: $('#profile-name').value }, false));
+  $('#profile-delete').addEventListener('click', () =>
+    runProfileAction('deleteProfile', { profileId: $('#profile-select').value }, true));
+  $('#autoclose-history-clear').addEventListener('click', () => chrome.storage.local.set({ autoCloseHistory: [] }));
+  $('#rule-history-clear').addEventListener('click', () => chrome.storage.local.set({ ruleHistory: [] }));
+  enableRowReordering($('#rules-tbody'));
+  await renderProfiles();
   await loadRules();
   await loadAutoClosePatterns();
+  await loadAutoCloseNotify();
+  await renderAutoCloseHistory();
+  await renderRuleHistory();
+  await loadMatchMode();
+  await loadLayout();
+  await loadDuplicateSettings();
+  await loadLifecycleSettings();
+  await renderArchive();
+  await loadSessionSettings();
+  await renderSessionSnapshots();
+  await renderStorageUsage();
+  $('#storage-local-only').addEventListener('change', (e) => setLocalOnlyStorage(e.target.checked));
+  await renderBookmarkAccess();
+  $('#bookmarks-allow').addEventListener('click', allowBookmarkAccess);
   // Global listeners to detect unsaved changes
   document.addEventListener('input', updateUnsavedIndicator, true);
   document.addEventListener('change', updateUnsavedIndicator, true);
   await refreshSavedSnapshotsFromStorage();
+  $('#export-rules').addEventListener('click', exportRules);
+  $('#import-rules').addEventListener('click', () => $('#import-file').click());
+  $('#import-file').addEventListener('change', (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (file) readImportFile(file);
+  });
+  $('#import-strategy').addEventListener('change', renderImportPreview);
+  $('#import-apply').addEventListener('click', applyImport);
+  $('#import-cancel').addEventListener('click', () => {
+    pendingImport = null;
+    $('#import-file').value = '';
+    renderImportPreview();
+  });
+  const previewRefresh = $('#preview-refresh');
+  if (previewRefresh) previewRefresh.addEventListener('click', refreshPreview);
+  const previewChangesOnly = $('#preview-changes-only');
+  if (previewChangesOnly) previewChangesOnly.addEventListener('change', refreshPreview);
   try {
     const { prepopulateRule } = await chrome.storage.local.get({ prepopulateRule: null });
     if (prepopulateRule) {
@@ -390,6 +1616,31 @@ document.addEventListener('DOMContentLoaded', async () => {
       applyPrepopulatedRule(changes.prepopulateRule.newValue);
       await chrome.storage.local.remove('prepopulateRule');
     }
+    if (areaName === 'local' && changes.tabArchive) {
+      renderArchive();
+    }
+    if (areaName === 'local' && changes.autoCloseHistory) {
+      renderAutoCloseHistory();
+    }
+    if (areaName === 'local' && changes.ruleHistory) {
+      renderRuleHistory();
+    }
+    if (areaName === 'local' && changes.sessionSnapshots) {
+      renderSessionSnapshots();
+    }
+    // Another profile is active, from here, the popup or the keyboard command
+    const profileSwitched = isRuleDataChange(changes, areaName, 'activeProfileId');
+    if (profileSwitched) {
+      await loadRules();
+      await loadAutoClosePatterns();
+      await refreshSavedSnapshotsFromStorage();
+    }
+    if (profileSwitched || isRuleDataChange(changes, areaName, 'profiles')) {
+      renderProfiles();
+    }
+    if (areaName === 'sync' || (areaName === 'local' && changes.ruleStorageMode)) {
+      renderStorageUsage();
+    }
   });
 
   // Help icon toggles
@@ -408,6 +1659,12 @@ document.addEventListener('DOMContentLoaded', async () => {
 // ===== Unsaved changes indicator tracking =====
 let lastSavedGroupsJson = '[]';
 let lastSavedAutoJson = '[]';
+let lastSavedAutoCloseNotify = false;
+let lastSavedMatchMode = 'first';
+let lastSavedLayoutJson = serializeForCompare(normalizeLayout(null));
+let lastSavedDuplicatesJson = serializeForCompare(normalizeDuplicateSettings(null));
+let lastSavedLifecycleJson = serializeForCompare(normalizeLifecycleSettings(null));
+let lastSavedSessionsJson = serializeForCompare(normalizeSessionSettings(null));
 
 function serializeForCompare(obj) {
   try {
@@ -417,39 +1674,59 @@ function serializeForCompare(obj) {
   }
 }
 
+// Stored rules keep the key order they were written with (e.g. by a migration);
+// both sides go through toRowData so only content differences count
+function serializeGroupsForCompare(groups) {
+  return serializeForCompare(groups.map(toRowData));
+}
+
 function setUnsavedVisible(visible) {
   const elInd = $('#dirty-indicator');
   if (!elInd) return;
   elInd.style.display = visible ? '' : 'none';
 }
 
-function updateUnsavedIndicator() {
-  const currentGroupsJson = serializeForCompare(getGroupsFromUIForCompare());
+function hasUnsavedChanges() {
+  const currentGroupsJson = serializeGroupsForCompare(getGroupsFromUIForCompare());
   const currentAutoJson = serializeForCompare(getAutoClosePatternsFromUI());
-  const dirty = (currentGroupsJson !== lastSavedGroupsJson) || (currentAutoJson !== lastSavedAutoJson);
-  setUnsavedVisible(dirty);
+  return (currentGroupsJson !== lastSavedGroupsJson) || (currentAutoJson !== lastSavedAutoJson) ||
+    ($('#autoclose-notify').checked !== lastSavedAutoCloseNotify) ||
+    (getMatchModeFromUI() !== lastSavedMatchMode) ||
+    (serializeForCompare(getLayoutFromUI()) !== lastSavedLayoutJson) ||
+    (serializeForCompare(getDuplicateSettingsFromUI()) !== lastSavedDuplicatesJson) ||
+    (serializeForCompare(getLifecycleSettingsFromUI()) !== lastSavedLifecycleJson) ||
+    (serializeForCompare(getSessionSettingsFromUI()) !== lastSavedSessionsJson);
+}
+
+function updateUnsavedIndicator() {
+  setUnsavedVisible(hasUnsavedChanges());
+  // Every rules edit funnels through here, so keep the tester and preview live
+  scheduleLiveUpdate();
 }
 
 async function refreshSavedSnapshotsFromStorage() {
   try {
-    const { groupingRules, autoClosePatterns } = await chrome.storage.sync.get({ groupingRules: [], autoClosePatterns: [] });
-    const autoNormalized = [];
-    const rawAuto = Array.isArray(autoClosePatterns) ? autoClosePatterns : [];
-    for (const it of rawAuto) {
-      if (typeof it === 'string') {
-        autoNormalized.push({ pattern: it, delaySeconds: 1 });
-      } else if (it && typeof it.pattern === 'string') {
-        let d = Number(it.delaySeconds ?? it.delay);
-        if (!Number.isFinite(d)) d = 1;
-        d = Math.min(10, Math.max(1, Math.floor(d)));
-        autoNormalized.push({ pattern: it.pattern, delaySeconds: d });
-      }
-    }
-    lastSavedGroupsJson = serializeForCompare(Array.isArray(groupingRules) ? groupingRules : []);
-    lastSavedAutoJson = serializeForCompare(autoNormalized);
+    const [{ groupingRules, autoClosePatterns }, { autoCloseNotify, matchMode, layout, duplicates, lifecycle, sessions }] = await Promise.all([
+      loadRuleData({ groupingRules: [], autoClosePatterns: [] }),
+      chrome.storage.sync.get({ autoCloseNotify: false, matchMode: 'first', layout: null, duplicates: null, lifecycle: null, sessions: null })
+    ]);
+    lastSavedGroupsJson = serializeGroupsForCompare(normalizeGroupingRules(groupingRules));
+    lastSavedAutoJson = serializeForCompare(normalizeAutoCloseItems(autoClosePatterns));
+    lastSavedAutoCloseNotify = autoCloseNotify === true;
+    lastSavedMatchMode = matchMode === 'specific' ? 'specific' : 'first';
+    lastSavedLayoutJson = serializeForCompare(normalizeLayout(layout));
+    lastSavedDuplicatesJson = serializeForCompare(normalizeDuplicateSettings(duplicates));
+    lastSavedLifecycleJson = serializeForCompare(normalizeLifecycleSettings(lifecycle));
+    lastSavedSessionsJson = serializeForCompare(normalizeSessionSettings(sessions));
   } catch {
     lastSavedGroupsJson = '[]';
     lastSavedAutoJson = '[]';
+    lastSavedAutoCloseNotify = false;
+    lastSavedMatchMode = 'first';
+    lastSavedLayoutJson = serializeForCompare(normalizeLayout(null));
+    lastSavedDuplicatesJson = serializeForCompare(normalizeDuplicateSettings(null));
+    lastSavedLifecycleJson = serializeForCompare(normalizeLifecycleSettings(null));
+    lastSavedSessionsJson = serializeForCompare(normalizeSessionSettings(null));
   }
   updateUnsavedIndicator();
 }
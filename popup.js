@@ -0,0 +1,190 @@
+'use strict';
+
+function $(sel, root = document) {
+  return root.querySelector(sel);
+}
+
+function el(tag, attrs = {}, children = []) {
+  const node = document.createElement(tag);
+  for (const [k, v] of Object.entries(attrs)) {
+    if (k === 'class') node.className = v;
+    else if (k === 'text') node.textContent = v;
+    else node.setAttribute(k, v);
+  }
+  for (const c of [].concat(children)) {
+    if (c == null) continue;
+    node.appendChild(typeof c === 'string' ? document.createTextNode(c) : c);
+  }
+  return node;
+}
+
+/**
+ * Send a request to the service worker's message channel.
+ * @param {string} type
+ * @param {Object=} payload
+ */
+async function sendMessage(type, payload = {}) {
+  const res = await chrome.runtime.sendMessage({ type, ...payload });
+  if (!res || !res.ok) throw new Error((res && res.error) || 'No response from the extension');
+  return res.result;
+}
+
+function showStatus(msg) {
+  const s = $('#status');
+  s.textContent = msg;
+  s.className = 'err';
+}
+
+function actionButton(label, onClick, cls = 'tiny') {
+  const btn = el('button', { type: 'button', class: cls }, label);
+  btn.addEventListener('click', async () => {
+    btn.disabled = true;
+    try {
+      await onClick();
+    } catch (e) {
+      showStatus(e.message);
+    }
+    await render();
+  });
+  return btn;
+}
+
+let windowId = null;
+
+function renderActiveTab(overview) {
+  const box = $('#active-tab');
+  box.innerHTML = '';
+  const active = overview.activeTab;
+  if (!active || !active.host) return;
+  const label = active.overridden
+    ? 'Rules are paused for this tab because you moved it by hand'
+    : overview.activeMatch
+      ? `This tab matches ${overview.activeMatch.type === 'pin' ? 'a pin rule' : `"${overview.activeMatch.title}"`}`
+      : `No rule for ${active.host}`;
+  box.appendChild(el('span', { class: 'label', text: label, title: active.title }));
+  if (active.overridden) {
+    box.appendChild(actionButton('Re-apply rules', () => sendMessage('reapplyRules', { tabId: active.id }), 'tiny primary'));
+  }
+  box.appendChild(actionButton('Create rule from this tab', async () => {
+    await sendMessage('createRuleFromTab', { tabId: active.id });
+    window.close();
+  }, overview.activeMatch ? 'tiny' : 'tiny primary'));
+}
+
+function renderDuplicates(overview) {
+  const box = $('#duplicates');
+  box.innerHTML = '';
+  if (!overview.duplicateCount) return;
+  const n = overview.duplicateCount;
+  // Counted, and closed, across every window, like the keyboard shortcut
+  box.appendChild(el('span', { class: 'label', text: `${n} duplicate ${n === 1 ? 'tab' : 'tabs'} open in all windows` }));
+  box.appendChild(actionButton('Close duplicates', () => sendMessage('closeDuplicates')));
+}
+
+function renderGroups(overview) {
+  const list = $('#group-list');
+  list.innerHTML = '';
+  if (!overview.groups.length) {
+    list.appendChild(el('li', {}, el('span', { class: 'label', text: 'No tab groups in this window' })));
+    return;
+  }
+  for (const g of overview.groups) {
+    list.appendChild(el('li', {}, [
+      el('span', { class: `dot ${g.color}` }),
+      el('span', { class: 'label', text: g.title || '(untitled)', title: g.title }),
+      g.managed ? el('span', { class: 'badge', text: 'rule', title: 'Managed by a grouping rule' }) : null,
+      el('span', { class: 'count', text: String(g.tabCount) }),
+      actionButton(g.collapsed ? 'Expand' : 'Collapse',
+        () => sendMessage('setGroupCollapsed', { groupId: g.id, collapsed: !g.collapsed })),
+      actionButton('New window', () => sendMessage('moveGroupToNewWindow', { groupId: g.id })),
+      g.managed && overview.bookmarksAccess
+        ? actionButton('Bookmark', () => sendMessage('saveGroupToBookmarks', { groupId: g.id }))
+        : null,
+      actionButton('Close', () => sendMessage('closeGroup', { groupId: g.id }), 'tiny danger')
+    ]));
+  }
+}
+
+// Linked folders whose group isn't open in this window
+function renderBookmarkFolders(overview) {
+  const box = $('#bookmark-folders');
+  box.innerHTML = '';
+  const closed = (overview.bookmarkFolders || []).filter(f => !f.open);
+  if (!closed.length) return;
+  box.appendChild(el('h2', { text: 'Bookmark folders' }));
+  const list = el('ul', { class: 'list' });
+  for (const f of closed) {
+    list.appendChild(el('li', {}, [
+      el('span', { class: `dot ${f.color}` }),
+      el('span', { class: 'label', text: f.title, title: `Bookmark folder "${f.folder}"` }),
+      actionButton('Open', () => sendMessage('openBookmarkFolder', { ruleId: f.ruleId, windowId }))
+    ]));
+  }
+  box.appendChild(list);
+}
+
+function renderUngrouped(overview) {
+  $('#ungrouped-heading').textContent = `Ungrouped tabs (${overview.ungrouped.length})`;
+  const suggestions = $('#suggestions');
+  suggestions.innerHTML = '';
+  for (const s of overview.suggestions) {
+    suggestions.appendChild(actionButton(`Group ${s.tabIds.length} tabs from ${s.host}`,
+      () => sendMessage('groupByHost', { windowId, host: s.host })));
+  }
+  const list = $('#ungrouped-list');
+  list.innerHTML = '';
+  for (const t of overview.ungrouped) {
+    list.appendChild(el('li', {}, el('span', { class: 'label', text: t.title, title: t.url })));
+  }
+}
+
+function renderProfiles(state) {
+  const select = $('#profile-select');
+  select.innerHTML = '';
+  select.hidden = state.profiles.length < 2;
+  for (const p of state.profiles) {
+    const opt = el('option', { value: p.id, text: p.name });
+    if (p.id === state.activeProfileId) opt.selected = true;
+    select.appendChild(opt);
+  }
+}
+
+async function render() {
+  try {
+    renderProfiles(await sendMessage('getProfiles'));
+    const overview = await sendMessage('getWindowOverview', { windowId });
+    renderActiveTab(overview);
+    renderDuplicates(overview);
+    renderGroups(overview);
+    renderBookmarkFolders(overview);
+    renderUngrouped(overview);
+  } catch (e) {
+    showStatus(`Could not load tab groups: ${e.message}`);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  $('#open-options').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  });
+  $('#take-snapshot').addEventListener('click', async (e) => {
+    try {
+      await sendMessage('takeSessionSnapshot');
+      e.target.textContent = 'Saved';
+    } catch (err) {
+      showStatus(err.message);
+    }
+  });
+  $('#profile-select').addEventListener('change', async (e) => {
+    try {
+      await sendMessage('switchProfile', { profileId: e.target.value });
+    } catch (err) {
+      showStatus(err.message);
+    }
+    await render();
+  });
+  const win = await chrome.windows.getCurrent();
+  windowId = win.id;
+  await render();
+});
@@ -0,0 +1,305 @@
+'use strict';
+
+// Stored rule schema shared by the service worker (importScripts) and the
+// options page (script tag): the normalizers that turn any stored shape into
+// the current one, and the versioned migrations that rewrite stored rules
+// once, when the extension is installed or updated. Settings added since
+// keep their normalizer here too instead of a copy on each side.
+
+// Tab group colors per chrome.tabGroups API
+const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+// Auto-close actions; 'close' is the default and isn't stored
+const AUTO_CLOSE_ACTION_TYPES = ['close', 'focusOpener', 'moveToGroup', 'discard'];
+// Auto-close conditions, stored as `true` flags on a rule
+const AUTO_CLOSE_CONDITION_KEYS = ['openedByTab', 'neverActive', 'afterLoad'];
+// URL patterns: [scheme://]host[:port][/path][?query][#fragment]. The
+// options page validates against the same grammar the service worker matches.
+const URL_PATTERN_RE = /^(?:(\*|https?):\/\/)?([^/:?#]+)(?::(\d+|\*))?(\/[^?#]*)?(?:\?([^#]*))?(?:#(.*))?$/i;
+// Patterns with this prefix are regular expressions tested against the full URL
+const REGEX_PATTERN_PREFIX = 're:';
+// A schedule time range, "HH:MM-HH:MM" in local time; the end may be 24:00
+const SCHEDULE_RANGE_RE = /^([01]?\d|2[0-3]):([0-5]\d)-([01]?\d|2[0-4]):([0-5]\d)$/;
+
+/**
+ * Whether grouping rules use the original one-pattern-per-rule schema:
+ *   Array<{ pattern: string, color: string, title?: string }>
+ * @param {Array<Object>} data
+ */
+function isLegacyGroupingRules(data) {
+  return data.length > 0 && !Array.isArray(data[0] && data[0].patterns);
+}
+
+/**
+ * Convert legacy { pattern, title?, color } rules into group rules, one per
+ * title, keeping the first non-grey color seen.
+ * @param {Array<Object>} data
+ * @returns {Array<{title:string, color:string, type:'group', patterns:string[]}>}
+ */
+function migrateLegacyRules(data) {
+  const byTitle = new Map();
+  for (const r of data) {
+    if (!r || typeof r.pattern !== 'string') continue;
+    const title = (r.title && String(r.title).trim()) || r.pattern;
+    const color = GROUP_COLORS.includes(r.color) ? r.color : 'grey';
+    if (!byTitle.has(title)) byTitle.set(title, { title, color, type: 'group', patterns: [] });
+    const g = byTitle.get(title);
+    if (!g.patterns.includes(r.pattern)) g.patterns.push(r.pattern);
+    if (g.color === 'grey' && color !== 'grey') g.color = color;
+  }
+  return Array.from(byTitle.values());
+}
+
+/**
+ * Give every rule a unique id. Missing or duplicate ids are derived from the
+ * rule's position and content, so the options page and the service worker
+ * agree on them without coordinating.
+ * @param {Array<Object>} data
+ * @returns {{rules:Array<Object>, changed:boolean}}
+ */
+function ensureRuleIds(data) {
+  const seen = new Set();
+  let changed = false;
+  const rules = data.map((g, index) => {
+    let id = g && typeof g.id === 'string' ? g.id : '';
+    if (!id || seen.has(id)) {
+      id = deriveRuleId(g, index);
+      changed = true;
+    }
+    seen.add(id);
+    return id === (g && g.id) ? g : { id, ...g };
+  });
+  return { rules, changed };
+}
+
+/**
+ * Deterministic rule id from position and content (fnv1a in storage.js).
+ * @param {Object} g
+ * @param {number} index
+ */
+function deriveRuleId(g, index) {
+  const text = `${index}|${(g && g.title) || ''}|${(g && Array.isArray(g.patterns) ? g.patterns : []).join(',')}`;
+  return 'rule-' + fnv1a(text).toString(16).padStart(8, '0');
+}
+
+/**
+ * Stored grouping rules, in any historical shape, as current-schema rules:
+ *   Array<{
+ *     id: string, // stable rule identity; live groups are tracked by it
+ *     title: string,
+ *     color: string,
+ *     type: 'group' | 'pin',
+ *     patterns: string[],
+ *     excludePatterns?: string[],
+ *     allowDuplicates?: boolean,
+ *     schedule?: { days?: number[], ranges?: string[] },
+ *     bookmarkFolder?: string // title of a bookmark folder kept in step with the group
+ *   }>
+ * Current-schema rules that already have ids are returned as they are.
+ * @param {*} raw
+ * @returns {Array<Object>}
+ */
+function normalizeGroupingRules(raw) {
+  const data = Array.isArray(raw) ? raw : [];
+  return ensureRuleIds(isLegacyGroupingRules(data) ? migrateLegacyRules(data) : data).rules;
+}
+
+/**
+ * Compact a stored schedule: { days?, ranges? } without whitespace, or null
+ * when the rule always applies. Days are numbered from Sunday (0).
+ * @param {*} raw
+ */
+function normalizeScheduleItem(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const days = [...new Set((Array.isArray(raw.days) ? raw.days : []).map(Number))]
+    .filter(d => Number.isInteger(d) && d >= 0 && d <= 6)
+    .sort((a, b) => a - b);
+  const ranges = (Array.isArray(raw.ranges) ? raw.ranges : []).map(r => String(r).replace(/\s+/g, '')).filter(Boolean);
+  const schedule = {};
+  if (days.length && days.length < 7) schedule.days = days;
+  if (ranges.length) schedule.ranges = ranges;
+  return Object.keys(schedule).length ? schedule : null;
+}
+
+/**
+ * Stored auto-close entries (legacy pattern strings, `delay` instead of
+ * `delaySeconds`, or current objects) in the compact stored shape: only
+ * non-default fields are kept.
+ * @param {*} raw
+ * @returns {Array<{pattern:string, delaySeconds:number, excludePatterns?:string[], dryRun?:true,
+ *   action?:string, groupTitle?:string, openedByTab?:true, neverActive?:true, afterLoad?:true,
+ *   titlePattern?:string, schedule?:Object}>}
+ */
+function normalizeAutoCloseItems(raw) {
+  const items = [];
+  for (const it of Array.isArray(raw) ? raw : []) {
+    if (typeof it === 'string') {
+      if (it.trim()) items.push({ pattern: it.trim(), delaySeconds: 1 });
+    } else if (it && typeof it.pattern === 'string' && it.pattern.trim()) {
+      let d = Number(it.delaySeconds ?? it.delay);
+      if (!Number.isFinite(d)) d = 1;
+      d = Math.min(10, Math.max(1, Math.floor(d)));
+      const item = { pattern: it.pattern.trim(), delaySeconds: d };
+      const excludes = (Array.isArray(it.excludePatterns) ? it.excludePatterns : []).map(p => String(p).trim()).filter(Boolean);
+      if (excludes.length) item.excludePatterns = excludes;
+      if (it.dryRun === true) item.dryRun = true;
+      if (it.action !== 'close' && AUTO_CLOSE_ACTION_TYPES.includes(it.action)) item.action = it.action;
+      if (item.action === 'moveToGroup') item.groupTitle = typeof it.groupTitle === 'string' ? it.groupTitle.trim() : '';
+      for (const key of AUTO_CLOSE_CONDITION_KEYS) {
+        if (it[key] === true) item[key] = true;
+      }
+      if (typeof it.titlePattern === 'string' && it.titlePattern.trim()) item.titlePattern = it.titlePattern.trim();
+      const schedule = normalizeScheduleItem(it.schedule);
+      if (schedule) item.schedule = schedule;
+      items.push(item);
+    }
+  }
+  return items;
+}
+
+/**
+ * What an auto-close rule or history entry does, e.g. "move to group "Meetings"".
+ * @param {{action?:string, groupTitle?:string}} rule
+ */
+function describeAutoCloseAction(rule) {
+  switch (rule.action) {
+    case 'focusOpener':
+      return 'close and return to the opener';
+    case 'moveToGroup':
+      return `move to group "${rule.groupTitle}"`;
+    case 'discard':
+      return 'discard';
+    default:
+      return 'close';
+  }
+}
+
+// Migrations of a rule set ({ groupingRules, autoClosePatterns }: the active
+// rules, or an inactive profile's), in order. Stored rules are at version
+// `schemaVersion` (0 when unset) and go through every later step once.
+const SETTINGS_MIGRATIONS = [
+  // 1: single-pattern grouping rules become groups; auto-close pattern
+  //    strings and `delay` become { pattern, delaySeconds }
+  (rules) => ({
+    groupingRules: isLegacyGroupingRules(rules.groupingRules) ? migrateLegacyRules(rules.groupingRules) : rules.groupingRules,
+    autoClosePatterns: normalizeAutoCloseItems(rules.autoClosePatterns)
+  }),
+  // 2: every grouping rule has a stable id
+  (rules) => ({ ...rules, groupingRules: ensureRuleIds(rules.groupingRules).rules })
+];
+const SCHEMA_VERSION = SETTINGS_MIGRATIONS.length;
+
+/**
+ * Bring the stored rules, including every profile's, up to SCHEMA_VERSION
+ * in one write. Rules written by a newer version are left alone.
+ * @returns {Promise<boolean>} whether anything was migrated
+ */
+async function migrateSettings() {
+  const stored = await loadRuleData({ schemaVersion: 0, groupingRules: [], autoClosePatterns: [], profiles: null });
+  const from = Number(stored.schemaVersion) || 0;
+  if (from >= SCHEMA_VERSION) return false;
+  const migrate = (rules) => SETTINGS_MIGRATIONS.slice(from).reduce((out, step) => step(out), {
+    groupingRules: Array.isArray(rules.groupingRules) ? rules.groupingRules : [],
+    autoClosePatterns: Array.isArray(rules.autoClosePatterns) ? rules.autoClosePatterns : []
+  });
+  const out = { schemaVersion: SCHEMA_VERSION, ...migrate(stored) };
+  if (Array.isArray(stored.profiles)) {
+    // The active profile's entry has no rules of its own
+    out.profiles = stored.profiles.map(p => (p && (Array.isArray(p.groupingRules) || Array.isArray(p.autoClosePatterns))
+      ? { ...p, ...migrate(p) }
+      : p));
+  }
+  await saveRuleData(out);
+  return true;
+}
+
+// Window layout (storage.sync `layout`): the values each setting allows, the
+// first being the default, which is the original fixed behavior
+const LAYOUT_OPTIONS = {
+  groupOrder: ['manual', 'rules', 'alphabetical'],
+  managedGroups: ['mixed', 'first', 'last'],
+  ungroupedPosition: ['right', 'left'],
+  sortTabsBy: ['none', 'url', 'title', 'lastAccessed']
+};
+const DEFAULT_LAYOUT = Object.fromEntries(Object.entries(LAYOUT_OPTIONS).map(([key, values]) => [key, values[0]]));
+
+/**
+ * Layout settings with defaults filled in and unknown values dropped.
+ * @param {*} raw
+ * @returns {typeof DEFAULT_LAYOUT}
+ */
+function normalizeLayout(raw) {
+  const layout = raw && typeof raw === 'object' ? raw : {};
+  return Object.fromEntries(Object.entries(LAYOUT_OPTIONS).map(([key, values]) =>
+    [key, values.includes(layout[key]) ? layout[key] : values[0]]));
+}
+
+// Duplicate tab settings (storage.sync `duplicates`) defaults: detection off, common tracking params ignored
+const DEFAULT_DUPLICATES = {
+  mode: 'off',
+  ignoreHash: true,
+  ignoreTrailingSlash: true,
+  ignoreQueryParams: ['utm_*', 'fbclid', 'gclid']
+};
+
+/**
+ * Fill in defaults and drop invalid values.
+ * @param {Object=} raw
+ */
+function normalizeDuplicateSettings(raw) {
+  const d = raw && typeof raw === 'object' ? raw : {};
+  return {
+    mode: ['off', 'mark', 'focus'].includes(d.mode) ? d.mode : DEFAULT_DUPLICATES.mode,
+    ignoreHash: typeof d.ignoreHash === 'boolean' ? d.ignoreHash : DEFAULT_DUPLICATES.ignoreHash,
+    ignoreTrailingSlash: typeof d.ignoreTrailingSlash === 'boolean' ? d.ignoreTrailingSlash : DEFAULT_DUPLICATES.ignoreTrailingSlash,
+    ignoreQueryParams: Array.isArray(d.ignoreQueryParams)
+      ? d.ignoreQueryParams.map(p => String(p).trim()).filter(Boolean)
+      : DEFAULT_DUPLICATES.ignoreQueryParams.slice()
+  };
+}
+
+// Tab lifecycle settings (storage.sync `lifecycle`) defaults: both cleanups off
+const DEFAULT_LIFECYCLE = {
+  discardGroupedAfterMinutes: 0,
+  staleUngroupedAfterDays: 0,
+  staleAction: 'close',
+  protectedPatterns: []
+};
+
+/**
+ * Fill in defaults and drop invalid values.
+ * @param {Object=} raw
+ */
+function normalizeLifecycleSettings(raw) {
+  const l = raw && typeof raw === 'object' ? raw : {};
+  const count = (v) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Math.floor(Number(v)) : 0);
+  return {
+    discardGroupedAfterMinutes: count(l.discardGroupedAfterMinutes),
+    staleUngroupedAfterDays: count(l.staleUngroupedAfterDays),
+    staleAction: l.staleAction === 'archive' ? 'archive' : 'close',
+    protectedPatterns: Array.isArray(l.protectedPatterns)
+      ? l.protectedPatterns.map(p => String(p).trim()).filter(Boolean)
+      : []
+  };
+}
+
+// Session snapshot settings (storage.sync `sessions`)
+const DEFAULT_SESSION_SETTINGS = {
+  snapshotEveryMinutes: 60,
+  snapshotOnWindowClose: true
+};
+
+/**
+ * Session snapshot settings with defaults filled in.
+ *  - snapshotEveryMinutes: take a snapshot this often (0 = off)
+ *  - snapshotOnWindowClose: take one when a window with groups or pinned tabs closes
+ * @param {*} raw
+ * @returns {typeof DEFAULT_SESSION_SETTINGS}
+ */
+function normalizeSessionSettings(raw) {
+  const s = raw && typeof raw === 'object' ? raw : {};
+  const minutes = Number(s.snapshotEveryMinutes ?? DEFAULT_SESSION_SETTINGS.snapshotEveryMinutes);
+  return {
+    snapshotEveryMinutes: Number.isFinite(minutes) && minutes > 0 ? Math.floor(minutes) : 0,
+    snapshotOnWindowClose: s.snapshotOnWindowClose !== false
+  };
+}
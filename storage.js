@@ -0,0 +1,206 @@
+'use strict';
+
+// Rule storage shared by the service worker (importScripts) and the options
+// page (script tag). Rules and profiles can outgrow a single chrome.storage.sync
+// item (8 KB), so they are written through here: a value that doesn't fit is
+// split across numbered shard keys. Rules can also be kept in
+// chrome.storage.local only, for rule sets too large to sync at all.
+
+// Keys whose values may be sharded
+const SHARDED_RULE_KEYS = ['groupingRules', 'autoClosePatterns', 'profiles'];
+// Where rules live: 'sync' (default) or 'local'; itself kept in storage.local
+const RULE_STORAGE_MODE_KEY = 'ruleStorageMode';
+
+/**
+ * @returns {Promise<'sync'|'local'>}
+ */
+async function getRuleStorageMode() {
+  const { [RULE_STORAGE_MODE_KEY]: mode } = await chrome.storage.local.get({ [RULE_STORAGE_MODE_KEY]: 'sync' });
+  return mode === 'local' ? 'local' : 'sync';
+}
+
+/**
+ * The key of a value's n-th shard (1-based).
+ * @param {string} key
+ * @param {number} n
+ */
+function shardKey(key, n) {
+  return `${key}.${n}`;
+}
+
+/**
+ * Size of an item as chrome.storage.sync counts it against its quotas.
+ * @param {string} key
+ * @param {*} value
+ */
+function storageItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string's UTF-16 code units, as an unsigned integer.
+ * schema.js derives rule ids with it too.
+ * @param {string} text
+ * @returns {number}
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// To tell whether every shard of a value has arrived
+function hashShardedJson(text) {
+  return fnv1a(text).toString(16);
+}
+
+/**
+ * Split a value's JSON into strings that each fit in one sync item under
+ * their shard key.
+ * @param {string} key
+ * @param {string} json
+ * @returns {string[]}
+ */
+function splitIntoShards(key, json) {
+  const limit = chrome.storage.sync.QUOTA_BYTES_PER_ITEM;
+  const shards = [];
+  let rest = json;
+  while (rest.length) {
+    // Escaping and multi-byte characters make the stored size larger than the length
+    let size = Math.min(rest.length, limit);
+    while (storageItemBytes(shardKey(key, shards.length + 1), rest.slice(0, size)) > limit) {
+      size = Math.floor(size * 0.9);
+    }
+    shards.push(rest.slice(0, size));
+    rest = rest.slice(size);
+  }
+  return shards;
+}
+
+/**
+ * Read rule data. Sharded keys are reassembled; other keys (e.g.
+ * activeProfileId) are read as they are, from the same storage area.
+ * Throws when a sharded value is incomplete, e.g. while sync is still
+ * delivering its shards from another device; a change event for the
+ * missing shards follows.
+ * @param {Object} defaults key → default value, as for chrome.storage get()
+ * @returns {Promise<Object>}
+ */
+async function loadRuleData(defaults) {
+  const area = chrome.storage[await getRuleStorageMode()];
+  const stored = await area.get(defaults);
+  for (const key of SHARDED_RULE_KEYS) {
+    const header = stored[key];
+    if (!(key in defaults) || !header || typeof header !== 'object' || Array.isArray(header) || !header.shards) continue;
+    const keys = Array.from({ length: header.shards }, (_, i) => shardKey(key, i + 1));
+    const shards = await area.get(keys);
+    const json = keys.map(k => (typeof shards[k] === 'string' ? shards[k] : '')).join('');
+    if (hashShardedJson(json) !== header.hash) {
+      throw new Error(`Rules are incomplete (${key} is still syncing)`);
+    }
+    stored[key] = JSON.parse(json);
+  }
+  return stored;
+}
+
+/**
+ * Write rule data in one storage call. In sync mode, a sharded key whose
+ * value doesn't fit in one item is stored as a header { shards, hash } plus
+ * shard keys; shards left over from a larger earlier value are removed.
+ * Quota errors are passed on (see isStorageQuotaError).
+ * @param {Object} items key → value
+ * @param {'sync'|'local'} [mode] area to write to; defaults to the current mode
+ */
+async function saveRuleData(items, mode) {
+  mode = mode || await getRuleStorageMode();
+  const area = chrome.storage[mode];
+  if (mode === 'local') {
+    await area.set(items);
+    return;
+  }
+  const out = {};
+  const stale = [];
+  for (const [key, value] of Object.entries(items)) {
+    if (!SHARDED_RULE_KEYS.includes(key)) {
+      out[key] = value;
+      continue;
+    }
+    const { [key]: previous } = await area.get({ [key]: null });
+    const previousShards = previous && typeof previous === 'object' && !Array.isArray(previous) ? previous.shards || 0 : 0;
+    let shardCount = 0;
+    if (storageItemBytes(key, value) <= chrome.storage.sync.QUOTA_BYTES_PER_ITEM) {
+      out[key] = value;
+    } else {
+      const json = JSON.stringify(value);
+      const shards = splitIntoShards(key, json);
+      shardCount = shards.length;
+      out[key] = { shards: shardCount, hash: hashShardedJson(json) };
+      shards.forEach((shard, i) => {
+        out[shardKey(key, i + 1)] = shard;
+      });
+    }
+    for (let n = shardCount + 1; n <= previousShards; n++) stale.push(shardKey(key, n));
+  }
+  await area.set(out);
+  if (stale.length) await area.remove(stale);
+}
+
+/**
+ * Whether a storage change touches a rule data key or one of its shards.
+ * Either area may hold rules, depending on the storage mode.
+ * @param {Object<string, chrome.storage.StorageChange>} changes
+ * @param {string} areaName
+ * @param {string} key
+ */
+function isRuleDataChange(changes, areaName, key) {
+  if (areaName !== 'sync' && areaName !== 'local') return false;
+  return Object.keys(changes).some(k => k === key || k.startsWith(`${key}.`));
+}
+
+/**
+ * Whether a storage error is a chrome.storage quota being exceeded.
+ * @param {*} e
+ */
+function isStorageQuotaError(e) {
+  return /QUOTA_BYTES|MAX_ITEMS|MAX_WRITE_OPERATIONS/.test(String((e && e.message) || e));
+}
+
+/**
+ * Move the rule data to the other storage area. Switching to local copies
+ * the rules and leaves the synced copy for other devices; switching back
+ * writes the local rules to sync (which fails with a quota error if they
+ * don't fit, leaving local mode on) and then removes the local copy.
+ * @param {'sync'|'local'} mode
+ */
+async function setRuleStorageMode(mode) {
+  const current = await getRuleStorageMode();
+  if (mode === current) return;
+  const keys = SHARDED_RULE_KEYS.concat('activeProfileId', 'schemaVersion');
+  const data = await loadRuleData(Object.fromEntries(keys.map(k => [k, null])));
+  const present = Object.fromEntries(Object.entries(data).filter(([, v]) => v != null));
+  if (mode === 'local') {
+    await chrome.storage.local.set({ ...present, [RULE_STORAGE_MODE_KEY]: 'local' });
+    return;
+  }
+  await saveRuleData(present, 'sync');
+  await chrome.storage.local.set({ [RULE_STORAGE_MODE_KEY]: 'sync' });
+  await chrome.storage.local.remove(keys);
+}
+
+/**
+ * How much of chrome.storage.sync is used, for the options page.
+ * @returns {Promise<{mode:'sync'|'local', bytesInUse:number, quotaBytes:number, ruleBytes:number}>}
+ */
+async function getStorageUsage() {
+  const mode = await getRuleStorageMode();
+  const all = await chrome.storage[mode].get(null);
+  const ruleKeys = Object.keys(all).filter(k => SHARDED_RULE_KEYS.some(key => k === key || k.startsWith(`${key}.`)));
+  const [bytesInUse, ruleBytes] = await Promise.all([
+    chrome.storage.sync.getBytesInUse(null),
+    ruleKeys.length ? chrome.storage[mode].getBytesInUse(ruleKeys) : 0
+  ]);
+  return { mode, bytesInUse, quotaBytes: chrome.storage.sync.QUOTA_BYTES, ruleBytes };
+}
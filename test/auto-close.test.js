@@ -0,0 +1,27 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./support/extension');
+
+const neverActive = { pattern: 'example.com', delaySeconds: 1, neverActive: true };
+
+test('a tab activated before the service worker restarted still counts as seen', async () => {
+  // A fresh service worker with the session state an earlier one left behind
+  const { context } = loadBackground({ session: { activatedTabs: [7] } });
+  const activated = await context.getActivatedTabs();
+  assert.equal(context.autoCloseConditionsMet(neverActive, { id: 7, active: false }, activated), false);
+  assert.equal(context.autoCloseConditionsMet(neverActive, { id: 8, active: false }, activated), true);
+});
+
+test('activations are written to storage.session', async () => {
+  const { chrome, context } = loadBackground();
+  await context.markTabActivated(3);
+  await context.markTabActivated(3);
+  assert.deepEqual(chrome.storage.session.data.activatedTabs, [3]);
+});
+
+test('auto-close rules that are still syncing are an error, not an empty list', async () => {
+  const { context } = loadBackground({ sync: { autoClosePatterns: { shards: 2, hash: '0' }, 'autoClosePatterns.1': '[' } });
+  await assert.rejects(context.getAutoCloseRules(), /Rules are incomplete/);
+});
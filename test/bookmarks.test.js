@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./support/extension');
+
+const rule = {
+  id: 'release',
+  title: 'Release',
+  color: 'blue',
+  type: 'group',
+  patterns: ['release.example.com'],
+  bookmarkFolder: 'Release checklist'
+};
+
+/**
+ * The service worker with one linked rule whose group (id 10) holds `tabs`,
+ * and a "Release checklist" folder holding `urls`. Records what the sync
+ * does to bookmarks and tabs.
+ * @param {{urls:string[], tabs:Object[], bookmarkSync?:Object}} setup
+ */
+function setUp({ urls, tabs, bookmarkSync = {} }) {
+  const folder = { id: 'folder', parentId: '2', title: rule.bookmarkFolder };
+  let bookmarks = urls.map((url, i) => ({ id: `b${i}`, parentId: folder.id, title: url, url }));
+  const done = { created: [], removed: [], opened: [], closed: [] };
+  const { chrome, context } = loadBackground({
+    sync: { groupingRules: [rule] },
+    local: { bookmarkSync },
+    session: { managedGroups: { 10: { ruleId: rule.id, key: '', title: rule.title } } },
+    apis: {
+      permissions: { contains: async () => true },
+      bookmarks: {
+        get: async (id) => (id === folder.id ? [folder] : []),
+        getTree: async () => [{ id: '0', children: [{ id: '2', parentId: '0', title: 'Other bookmarks', children: [folder] }] }],
+        getChildren: async () => bookmarks.slice(),
+        create: async (props) => {
+          const node = { id: `b${bookmarks.length + done.created.length}`, ...props };
+          done.created.push(props.url);
+          bookmarks.push(node);
+          return node;
+        },
+        remove: async (id) => {
+          done.removed.push(bookmarks.find(b => b.id === id).url);
+          bookmarks = bookmarks.filter(b => b.id !== id);
+        }
+      },
+      tabs: {
+        query: async () => tabs.map(t => ({ ...t })),
+        remove: async (ids) => done.closed.push(...[].concat(ids))
+      }
+    }
+  });
+  context.openInRuleGroup = async (r, windowId, opened) => {
+    done.opened.push(...opened);
+    return opened.length;
+  };
+  return { chrome, context, done };
+}
+
+function groupTab(id, url) {
+  return { id, windowId: 1, index: id, groupId: 10, url, title: url, status: 'complete', incognito: false };
+}
+
+test('linking a folder that has bookmarks merges it with the open group', async () => {
+  const folderUrls = ['https://release.example.com/notes', 'https://ci.example.com/', 'https://docs.example.com/release'];
+  const { chrome, context, done } = setUp({
+    urls: folderUrls,
+    tabs: [groupTab(1, 'https://release.example.com/checklist')]
+  });
+  await context.syncBookmarkFolders();
+  assert.deepEqual(done.removed, []);
+  assert.deepEqual(done.closed, []);
+  assert.deepEqual(done.created, ['https://release.example.com/checklist']);
+  assert.deepEqual(done.opened, folderUrls);
+  assert.deepEqual(chrome.storage.local.data.bookmarkSync[rule.id].urls, [...folderUrls, 'https://release.example.com/checklist']);
+});
+
+test('after the first sync, closing a page removes its bookmark', async () => {
+  const urls = ['https://release.example.com/notes', 'https://ci.example.com/'];
+  const { context, done } = setUp({
+    urls,
+    tabs: [groupTab(1, 'https://release.example.com/notes')],
+    bookmarkSync: { [rule.id]: { folder: rule.bookmarkFolder, folderId: 'folder', urls, groupOpen: true } }
+  });
+  await context.syncBookmarkFolders();
+  assert.deepEqual(done.removed, ['https://ci.example.com/']);
+  assert.deepEqual(done.created, []);
+  assert.deepEqual(done.opened, []);
+});
+
+test('a group opened after a sync without it merges instead of removing', async () => {
+  const urls = ['https://release.example.com/notes', 'https://ci.example.com/', 'https://docs.example.com/release'];
+  const tabs = [];
+  const { chrome, context, done } = setUp({ urls, tabs });
+  await context.syncBookmarkFolders();
+  assert.equal(chrome.storage.local.data.bookmarkSync[rule.id].groupOpen, false);
+  // The group comes back with one of the folder's pages
+  tabs.push(groupTab(1, urls[0]));
+  await context.syncBookmarkFolders();
+  assert.deepEqual(done.removed, []);
+  assert.deepEqual(done.created, []);
+  assert.deepEqual(done.opened, urls.slice(1));
+  assert.deepEqual(chrome.storage.local.data.bookmarkSync[rule.id], { folder: rule.bookmarkFolder, folderId: 'folder', urls, groupOpen: true });
+});
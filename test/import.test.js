@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadOptions } = require('./support/extension');
+
+const { context } = loadOptions();
+
+// The options page builds its objects in the scripts' realm
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+function group(id, title, patterns, extra) {
+  return { id, type: 'group', title, color: 'grey', patterns, ...extra };
+}
+
+const current = {
+  groups: [group('w', 'Work', ['work.example.com']), group('n', 'News', ['news.example.com'])],
+  autoClosePatterns: [{ pattern: 'zoom.us', delaySeconds: 1 }]
+};
+const imported = {
+  groups: [group('i1', 'News', ['news.example.com', 'rss.example.com'], { color: 'red' }), group('i2', 'Music', ['music.example.com'])],
+  autoClosePatterns: [{ pattern: 'zoom.us', delaySeconds: 5 }, { pattern: 'meet.example.com', delaySeconds: 1 }]
+};
+
+test('replace keeps only the imported rules', () => {
+  assert.deepEqual(plain(context.combineRules(current, imported, 'replace')), imported);
+});
+
+test('merge replaces groups with the same title in place and appends new ones', () => {
+  const result = plain(context.combineRules(current, imported, 'merge'));
+  assert.deepEqual(result.groups, [
+    current.groups[0],
+    // Keeps the current rule's id, so its open groups stay linked
+    { ...imported.groups[0], id: 'n' },
+    imported.groups[1]
+  ]);
+  assert.deepEqual(result.autoClosePatterns, imported.autoClosePatterns);
+});
+
+test('append adds everything and renews colliding ids', () => {
+  const result = plain(context.combineRules(current, current, 'append'));
+  assert.equal(result.groups.length, 4);
+  assert.equal(new Set(result.groups.map(g => g.id)).size, 4);
+  assert.deepEqual(result.groups.slice(0, 2), current.groups);
+  assert.equal(result.autoClosePatterns.length, 2);
+});
+
+test('the diff lists added, changed and removed rules', () => {
+  const next = context.combineRules(current, imported, 'replace');
+  assert.deepEqual(plain(context.diffRules(current, next)), [
+    { kind: 'changed', text: 'Update group "News"' },
+    { kind: 'added', text: 'Add group "Music": music.example.com' },
+    { kind: 'removed', text: 'Remove group "Work"' },
+    { kind: 'changed', text: 'Update auto-close "zoom.us"' },
+    { kind: 'added', text: 'Add auto-close "meet.example.com"' }
+  ]);
+});
+
+test('the diff ignores rule ids and reports a second group with the same title', () => {
+  const renamedIds = { ...current, groups: current.groups.map((g, i) => ({ ...g, id: `other-${i}` })) };
+  assert.deepEqual(plain(context.diffRules(current, renamedIds)), []);
+  const appended = context.combineRules(current, { groups: [current.groups[0]], autoClosePatterns: [] }, 'append');
+  assert.deepEqual(plain(context.diffRules(current, appended)), [
+    { kind: 'added', text: 'Add another group "Work" (same title as an existing group)' }
+  ]);
+});
+
+test('parsing a file migrates legacy rules and old auto-close entries', () => {
+  const parsed = plain(context.parseRulesDocument(JSON.stringify({
+    groupingRules: [{ pattern: 'a.example.com', color: 'blue', title: 'A' }],
+    autoClosePatterns: ['zoom.us', { pattern: 'meet.example.com', delay: 3 }]
+  })));
+  assert.equal(parsed.groups.length, 1);
+  assert.deepEqual({ ...parsed.groups[0], id: undefined }, { id: undefined, type: 'group', title: 'A', color: 'blue', patterns: ['a.example.com'] });
+  assert.deepEqual(parsed.autoClosePatterns, [{ pattern: 'zoom.us', delaySeconds: 1 }, { pattern: 'meet.example.com', delaySeconds: 3 }]);
+});
+
+test('parsing refuses other formats, newer versions and broken files', () => {
+  const parse = (doc) => context.parseRulesDocument(JSON.stringify(doc));
+  assert.throws(() => parse({ format: 'other', groupingRules: [] }), /Unknown file format/);
+  assert.throws(() => parse({ version: 999, groupingRules: [] }), /version 999/);
+  assert.throws(() => parse({ rules: [] }), /No rules found/);
+  assert.throws(() => context.parseRulesDocument('{'), /not valid JSON/);
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { loadShared, loadOptions } = require('./support/extension');
+
+// Rules as each earlier version stored them, all in one sync area
+function historicalSync() {
+  return {
+    // Original schema: one pattern per rule, grouped by title
+    groupingRules: [
+      { pattern: 'github.com', color: 'grey', title: 'Code' },
+      { pattern: 'gitlab.com', color: 'blue', title: 'Code' },
+      { pattern: 'mail.google.com', color: 'red' }
+    ],
+    // Plain pattern strings next to objects with the old `delay` field
+    autoClosePatterns: ['zoom.us/j/*', { pattern: 'example.com/done', delay: 30 }, '  '],
+    profiles: [
+      // The active profile has no rules of its own
+      { id: 'default', name: 'Default' },
+      {
+        id: 'work',
+        name: 'Work',
+        // Groups from before rule ids
+        groupingRules: [{ title: 'Docs', color: 'green', type: 'group', patterns: ['docs.google.com'] }],
+        autoClosePatterns: [{ pattern: 'meet.google.com', delay: 3 }]
+      }
+    ]
+  };
+}
+
+// Top-level consts aren't properties of the context like functions are
+const { SCHEMA_VERSION, SETTINGS_MIGRATIONS } = vm.runInContext('({ SCHEMA_VERSION, SETTINGS_MIGRATIONS })', loadShared().context);
+
+async function migrate(sync) {
+  const { chrome, context } = loadShared({ sync });
+  const migrated = await context.migrateSettings();
+  return { chrome, context, migrated, data: chrome.storage.sync.data };
+}
+
+test('legacy single-pattern rules become groups with ids', async () => {
+  const { migrated, data } = await migrate(historicalSync());
+  assert.equal(migrated, true);
+  assert.equal(data.groupingRules.length, 2);
+  const [code, mail] = data.groupingRules;
+  assert.deepEqual({ ...code, id: undefined }, { id: undefined, title: 'Code', color: 'blue', type: 'group', patterns: ['github.com', 'gitlab.com'] });
+  assert.deepEqual({ ...mail, id: undefined }, { id: undefined, title: 'mail.google.com', color: 'red', type: 'group', patterns: ['mail.google.com'] });
+  assert.match(code.id, /^rule-[0-9a-f]{8}$/);
+  assert.notEqual(code.id, mail.id);
+});
+
+test('auto-close strings and delay entries become { pattern, delaySeconds }', async () => {
+  const { data } = await migrate(historicalSync());
+  assert.deepEqual(data.autoClosePatterns, [
+    { pattern: 'zoom.us/j/*', delaySeconds: 1 },
+    // Delays are clamped to 1-10 seconds
+    { pattern: 'example.com/done', delaySeconds: 10 }
+  ]);
+});
+
+test('v1 rules without ids get them and keep the rest', async () => {
+  const rules = [
+    { title: 'News', color: 'orange', type: 'group', patterns: ['news.ycombinator.com'] },
+    { id: 'kept', title: 'Pins', color: 'grey', type: 'pin', patterns: ['calendar.google.com'] }
+  ];
+  const { data } = await migrate({ schemaVersion: 1, groupingRules: rules, autoClosePatterns: [] });
+  assert.match(data.groupingRules[0].id, /^rule-[0-9a-f]{8}$/);
+  assert.deepEqual({ ...data.groupingRules[0], id: undefined }, { ...rules[0], id: undefined });
+  assert.deepEqual(data.groupingRules[1], rules[1]);
+});
+
+test('profiles with rules are migrated, the active profile entry is left alone', async () => {
+  const { data } = await migrate(historicalSync());
+  const [active, work] = data.profiles;
+  assert.deepEqual(active, { id: 'default', name: 'Default' });
+  assert.equal(work.name, 'Work');
+  assert.match(work.groupingRules[0].id, /^rule-[0-9a-f]{8}$/);
+  assert.deepEqual(work.autoClosePatterns, [{ pattern: 'meet.google.com', delaySeconds: 3 }]);
+});
+
+test('migrated rules end at SCHEMA_VERSION', async () => {
+  const { data } = await migrate(historicalSync());
+  assert.equal(data.schemaVersion, SCHEMA_VERSION);
+  assert.equal(SCHEMA_VERSION, SETTINGS_MIGRATIONS.length);
+});
+
+test('migrating again changes nothing', async () => {
+  const { context, data } = await migrate(historicalSync());
+  const before = structuredClone(data);
+  assert.equal(await context.migrateSettings(), false);
+  assert.deepEqual(data, before);
+});
+
+test('running every step on current rules is a no-op', async () => {
+  const { data } = await migrate(historicalSync());
+  const rules = { groupingRules: data.groupingRules, autoClosePatterns: data.autoClosePatterns };
+  const again = SETTINGS_MIGRATIONS.reduce((out, step) => step(out), structuredClone(rules));
+  // Compared as JSON: the steps build their objects in the scripts' realm
+  assert.deepEqual(JSON.parse(JSON.stringify(again)), rules);
+});
+
+test('rules from a newer version are left alone', async () => {
+  const sync = { schemaVersion: SCHEMA_VERSION + 1, groupingRules: [{ pattern: 'a.com' }] };
+  const { migrated, data } = await migrate(sync);
+  assert.equal(migrated, false);
+  assert.deepEqual(data, sync);
+});
+
+test('migrated rules compare equal to the options page rows showing them', async () => {
+  const { data } = await migrate(historicalSync());
+  const { context } = loadOptions();
+  // Rows list their keys in another order than the migration wrote them
+  const rows = data.groupingRules.map(g => ({ id: g.id, type: g.type, title: g.title, color: g.color, patterns: g.patterns }));
+  assert.notEqual(JSON.stringify(rows), JSON.stringify(data.groupingRules));
+  assert.equal(context.serializeGroupsForCompare(rows), context.serializeGroupsForCompare(context.normalizeGroupingRules(data.groupingRules)));
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./support/extension');
+
+const { context } = loadBackground();
+
+function matches(pattern, url) {
+  return context.patternMatchesUrl(pattern, context.getUrlParts(url));
+}
+
+test('a bare host matches only that host, on any scheme and path', () => {
+  assert.equal(matches('example.com', 'https://example.com/a/b?c#d'), true);
+  assert.equal(matches('example.com', 'http://example.com/'), true);
+  assert.equal(matches('example.com', 'https://www.example.com/'), false);
+  assert.equal(matches('example.com', 'https://example.org/'), false);
+});
+
+test('*. covers subdomains but not the base host', () => {
+  assert.equal(matches('*.example.com', 'https://a.example.com/'), true);
+  assert.equal(matches('*.example.com', 'https://b.a.example.com/'), true);
+  assert.equal(matches('*.example.com', 'https://example.com/'), false);
+  assert.equal(matches('*.example.com', 'https://badexample.com/'), false);
+});
+
+test('hosts compare case-insensitively', () => {
+  assert.equal(matches('Example.COM', 'https://EXAMPLE.com/'), true);
+});
+
+test('a scheme limits the pattern to it; *:// allows either', () => {
+  assert.equal(matches('https://example.com', 'https://example.com/'), true);
+  assert.equal(matches('https://example.com', 'http://example.com/'), false);
+  assert.equal(matches('*://example.com', 'http://example.com/'), true);
+});
+
+test('ports match explicitly or by the scheme default', () => {
+  assert.equal(matches('localhost:3000', 'http://localhost:3000/'), true);
+  assert.equal(matches('localhost:3000', 'http://localhost:8080/'), false);
+  assert.equal(matches('example.com:443', 'https://example.com/'), true);
+  assert.equal(matches('example.com:443', 'http://example.com/'), false);
+  assert.equal(matches('localhost:*', 'http://localhost:8080/'), true);
+});
+
+test('a path without * is a prefix; * matches any sequence', () => {
+  assert.equal(matches('example.com/docs', 'https://example.com/docs/intro'), true);
+  assert.equal(matches('example.com/docs', 'https://example.com/blog'), false);
+  assert.equal(matches('example.com/*/issues', 'https://example.com/acme/issues'), true);
+  assert.equal(matches('example.com/*/issues', 'https://example.com/acme/issues/1'), false);
+});
+
+test('query and fragment patterns match the whole component', () => {
+  assert.equal(matches('example.com/search?project=a*', 'https://example.com/search?project=abc&x=1'), true);
+  assert.equal(matches('example.com/search?project=a*', 'https://example.com/search?x=1&project=abc'), false);
+  assert.equal(matches('example.com/search?project=a*', 'https://example.com/search'), false);
+  assert.equal(matches('example.com#settings', 'https://example.com/#settings'), true);
+  assert.equal(matches('example.com#settings', 'https://example.com/#other'), false);
+});
+
+test('re: patterns are regular expressions over the full URL', () => {
+  assert.equal(matches('re:^https://(jira|wiki)\\.corp\\.com/', 'https://wiki.corp.com/page'), true);
+  assert.equal(matches('re:^https://(jira|wiki)\\.corp\\.com/', 'http://wiki.corp.com/page'), false);
+  assert.equal(matches('re:\\?q=', 'https://example.com/search?q=tabs'), true);
+});
+
+test('compilePattern reports captures and the covered subdomain', () => {
+  const parts = context.getUrlParts('https://jira.corp.com/browse/ABC-12');
+  const info = context.compilePattern('re:^https://(\\w+)\\.corp\\.com/browse/(?<project>[A-Z]+)-').exec(parts);
+  assert.deepEqual([...info.captures], ['jira', 'ABC']);
+  assert.equal(info.named.project, 'ABC');
+  const sub = context.compilePattern('*.corp.com').exec(context.getUrlParts('https://a.b.corp.com/'));
+  assert.equal(sub.subdomain, 'a.b');
+});
+
+test('patterns that do not parse compile to null and match nothing', () => {
+  assert.equal(context.compilePattern('re:(unclosed'), null);
+  assert.equal(context.compilePattern('https:///path'), null);
+  assert.equal(matches('re:(unclosed', 'https://example.com/'), false);
+});
+
+test('only http and https URLs are matched', () => {
+  assert.equal(context.getUrlParts('chrome://extensions/'), null);
+  assert.equal(context.getUrlParts('not a url'), null);
+  assert.equal(context.patternMatchesUrl('extensions', null), false);
+});
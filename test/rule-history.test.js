@@ -0,0 +1,45 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadOptions } = require('./support/extension');
+
+const entry = {
+  id: 'h1',
+  savedAt: Date.UTC(2026, 9, 1),
+  profileId: 'work',
+  groupingRules: [{ id: 'r', type: 'group', title: 'Docs', color: 'blue', patterns: ['docs.example.com'] }],
+  autoClosePatterns: []
+};
+
+/**
+ * The options page with its DOM-facing functions stubbed, restoring while
+ * `activeProfileId` is the active profile.
+ * @param {string} activeProfileId
+ */
+function setUp(activeProfileId) {
+  const { context } = loadOptions();
+  const done = { filled: [], saved: 0, status: [] };
+  context.hasUnsavedChanges = () => false;
+  context.sendMessage = async (type) => (type === 'getProfiles' ? { activeProfileId, profiles: [] } : null);
+  context.fillRulesUI = (groups) => done.filled.push(groups);
+  context.saveRules = async () => ++done.saved > 0;
+  context.showStatus = (text, isError) => done.status.push({ text, isError: Boolean(isError) });
+  context.renderRuleHistory = async () => {};
+  return { context, done };
+}
+
+test('a version is restored into its own, active profile', async () => {
+  const { context, done } = setUp('work');
+  await context.restoreRuleHistoryEntry(entry);
+  assert.equal(done.saved, 1);
+  assert.equal(done.filled.length, 1);
+});
+
+test("a version from another profile doesn't overwrite the active profile's rules", async () => {
+  const { context, done } = setUp('personal');
+  await context.restoreRuleHistoryEntry(entry);
+  assert.equal(done.saved, 0);
+  assert.deepEqual(done.filled, []);
+  assert.deepEqual(done.status, [{ text: 'This version belongs to another profile: switch to it to restore it', isError: true }]);
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./support/extension');
+
+const { context } = loadBackground();
+
+function rule(id, title, patterns, extra) {
+  return { id, title, color: 'grey', type: 'group', patterns, ...extra };
+}
+
+function match(rules, url, matchMode) {
+  const found = context.findMatchingGroup(context.getUrlParts(url), context.normalizeGroups(rules), matchMode);
+  return found && found.title;
+}
+
+function lint(rules, autoClose = [], matchMode = 'first') {
+  return context.lintRules(rules, autoClose, matchMode).map(r => ({ index: r.index, warnings: [...r.warnings] }));
+}
+
+const google = rule('g', 'Google', ['*.google.com']);
+const docs = rule('d', 'Docs', ['docs.google.com']);
+
+test('in first mode the first matching rule wins', () => {
+  assert.equal(match([google, docs], 'https://docs.google.com/', 'first'), 'Google');
+  assert.equal(match([docs, google], 'https://docs.google.com/', 'first'), 'Docs');
+});
+
+test('in specific mode the most specific pattern wins', () => {
+  assert.equal(match([google, docs], 'https://docs.google.com/', 'specific'), 'Docs');
+  assert.equal(match([google, docs], 'https://mail.google.com/', 'specific'), 'Google');
+});
+
+test('an exclude pattern skips the rule so later rules get a chance', () => {
+  const withExclude = rule('g', 'Google', ['*.google.com'], { excludePatterns: ['mail.google.com'] });
+  const mail = rule('m', 'Mail', ['mail.google.com']);
+  assert.equal(match([withExclude, mail], 'https://mail.google.com/', 'first'), 'Mail');
+  assert.equal(match([withExclude], 'https://mail.google.com/', 'first'), null);
+  assert.equal(match([withExclude], 'https://drive.google.com/', 'first'), 'Google');
+});
+
+test('the tester reports shadowed, outranked and excluded rules', () => {
+  const withExclude = rule('x', 'Excluding', ['docs.google.com'], { excludePatterns: ['docs.google.com/private'] });
+  const explain = (mode, url) => context.explainUrl(url, [google, docs, withExclude], [], mode).rules.map(r => r.status);
+  assert.deepEqual(explain('first', 'https://docs.google.com/a'), ['matched', 'shadowed', 'shadowed']);
+  assert.deepEqual(explain('specific', 'https://docs.google.com/a'), ['outranked', 'matched', 'outranked']);
+  assert.deepEqual(explain('first', 'https://docs.google.com/private/1'), ['matched', 'shadowed', 'excluded']);
+});
+
+test('lint warns about a pattern that also appears in an earlier row', () => {
+  assert.deepEqual(lint([docs, rule('d2', 'Other', ['Docs.Google.com'])]), [
+    { index: 1, warnings: ['"Docs.Google.com" also appears in row 1, which wins'] }
+  ]);
+});
+
+test('lint warns about a pattern a winning row covers, depending on the mode', () => {
+  assert.deepEqual(lint([google, docs], [], 'first'), [
+    { index: 1, warnings: ['"docs.google.com" never applies: "*.google.com" in row 1 matches everything it does'] }
+  ]);
+  // The more specific pattern wins in specific mode
+  assert.deepEqual(lint([google, docs], [], 'specific'), []);
+});
+
+test('lint leaves a covered pattern alone when the covering row excludes part of it', () => {
+  const withExclude = rule('g', 'Google', ['*.google.com'], { excludePatterns: ['docs.google.com/private'] });
+  assert.deepEqual(lint([withExclude, docs]), []);
+});
+
+test('lint warns about overlap with a closing auto-close rule, not a discarding one', () => {
+  assert.deepEqual(lint([docs], [{ pattern: '*.google.com', delaySeconds: 1 }]), [
+    { index: 0, warnings: ['"docs.google.com" overlaps auto-close rule "*.google.com": tabs may be grouped and then closed'] }
+  ]);
+  assert.deepEqual(lint([docs], [{ pattern: '*.google.com', delaySeconds: 1, action: 'discard' }]), []);
+});
+
+test('lint warns about rows sharing a title', () => {
+  assert.deepEqual(lint([rule('a', 'Work', ['a.com']), rule('b', 'Work', ['b.com'])]), [
+    { index: 1, warnings: ['Same title as row 1: each rule gets its own group, so the window shows two groups with this name'] }
+  ]);
+});
+
+test('lint skips incomplete rows', () => {
+  assert.deepEqual(lint([rule('a', '', ['a.com']), rule('b', 'B', ['a.com'])]), []);
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./support/extension');
+
+const { context } = loadBackground();
+
+// The scripts build their objects in their own realm
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// Local time; 2026-10-19 is a Monday (day 1)
+const at = (day, hours, minutes = 0) => new Date(2026, 9, 19 + day - 1, hours, minutes);
+
+test('stored schedules parse into days and minute ranges', () => {
+  assert.deepEqual(plain(context.normalizeSchedule({ days: [5, 1, 1, 9], ranges: [' 09:00 - 17:30', 'bad', '10:00-10:00'] })),
+    { days: [1, 5], ranges: [{ start: 540, end: 1050 }] });
+  assert.deepEqual(plain(context.normalizeSchedule({ ranges: ['22:00-24:00'] })), { days: [], ranges: [{ start: 1320, end: 1440 }] });
+  // Every day, all day: always active
+  assert.equal(context.normalizeSchedule({ days: [0, 1, 2, 3, 4, 5, 6] }), null);
+  assert.equal(context.normalizeSchedule({ ranges: ['bad'] }), null);
+});
+
+test('a schedule is active on its days and within its ranges', () => {
+  const workdays = context.normalizeSchedule({ days: [1, 2, 3, 4, 5], ranges: ['09:00-17:00'] });
+  assert.equal(context.isScheduleActive(workdays, at(1, 9)), true);
+  assert.equal(context.isScheduleActive(workdays, at(1, 17)), false);
+  assert.equal(context.isScheduleActive(workdays, at(1, 8, 59)), false);
+  assert.equal(context.isScheduleActive(workdays, at(6, 12)), false);
+  assert.equal(context.isScheduleActive(null, at(6, 12)), true);
+});
+
+test('a range past midnight belongs to the day it starts on', () => {
+  const fridayNight = context.normalizeSchedule({ days: [5], ranges: ['22:00-02:00'] });
+  assert.equal(context.isScheduleActive(fridayNight, at(5, 23)), true);
+  assert.equal(context.isScheduleActive(fridayNight, at(6, 1)), true);
+  assert.equal(context.isScheduleActive(fridayNight, at(6, 2)), false);
+  assert.equal(context.isScheduleActive(fridayNight, at(5, 1)), false);
+});
+
+test('the next boundary is the nearest range start or end', () => {
+  const schedules = [
+    context.normalizeSchedule({ ranges: ['09:00-17:00'] }),
+    context.normalizeSchedule({ ranges: ['12:30-13:00'] })
+  ];
+  assert.equal(context.nextScheduleBoundary(schedules, at(1, 8)).getTime(), at(1, 9).getTime());
+  assert.equal(context.nextScheduleBoundary(schedules, at(1, 9)).getTime(), at(1, 12, 30).getTime());
+  assert.equal(context.nextScheduleBoundary(schedules, at(1, 17)).getTime(), at(2, 0).getTime());
+});
+
+test('weekday schedules without ranges change at midnight', () => {
+  const weekend = [context.normalizeSchedule({ days: [0, 6] })];
+  assert.equal(context.nextScheduleBoundary(weekend, at(5, 15)).getTime(), at(6, 0).getTime());
+});
+
+test('there is no boundary without schedules', () => {
+  assert.equal(context.nextScheduleBoundary([], at(1, 8)), null);
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./support/extension');
+
+const { context } = loadBackground();
+
+// The scripts build their objects in their own realm
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('duplicate settings fill in defaults and drop invalid values', () => {
+  assert.deepEqual(plain(context.normalizeDuplicateSettings(null)),
+    { mode: 'off', ignoreHash: true, ignoreTrailingSlash: true, ignoreQueryParams: ['utm_*', 'fbclid', 'gclid'] });
+  assert.deepEqual(plain(context.normalizeDuplicateSettings({ mode: 'loud', ignoreHash: 'no', ignoreQueryParams: [' ref ', ''] })),
+    { mode: 'off', ignoreHash: true, ignoreTrailingSlash: true, ignoreQueryParams: ['ref'] });
+});
+
+test('duplicate keys ignore the configured URL parts', () => {
+  const settings = context.normalizeDuplicateSettings({ mode: 'mark' });
+  const key = (url) => context.duplicateKey(url, settings);
+  assert.equal(key('https://example.com/a/?utm_source=x&id=1#top'), key('https://example.com/a?id=1'));
+  assert.notEqual(key('https://example.com/a?id=1'), key('https://example.com/a?id=2'));
+  assert.equal(key('chrome://newtab/'), null);
+  const strict = context.normalizeDuplicateSettings({ ignoreHash: false, ignoreTrailingSlash: false, ignoreQueryParams: [] });
+  assert.notEqual(context.duplicateKey('https://example.com/a#x', strict), context.duplicateKey('https://example.com/a', strict));
+  assert.notEqual(context.duplicateKey('https://example.com/a/', strict), context.duplicateKey('https://example.com/a', strict));
+});
+
+test('lifecycle settings keep whole positive counts and known actions', () => {
+  assert.deepEqual(plain(context.normalizeLifecycleSettings(null)),
+    { discardGroupedAfterMinutes: 0, staleUngroupedAfterDays: 0, staleAction: 'close', protectedPatterns: [] });
+  assert.deepEqual(plain(context.normalizeLifecycleSettings({
+    discardGroupedAfterMinutes: '30.7',
+    staleUngroupedAfterDays: -2,
+    staleAction: 'archive',
+    protectedPatterns: [' mail.google.com ', '']
+  })), { discardGroupedAfterMinutes: 30, staleUngroupedAfterDays: 0, staleAction: 'archive', protectedPatterns: ['mail.google.com'] });
+});
+
+test('layout settings fall back to the original behavior', () => {
+  assert.deepEqual(plain(context.normalizeLayout({ groupOrder: 'rules', sortTabsBy: 'color' })),
+    { groupOrder: 'rules', managedGroups: 'mixed', ungroupedPosition: 'right', sortTabsBy: 'none' });
+});
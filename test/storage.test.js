@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadShared } = require('./support/extension');
+
+// The scripts build their objects in their own realm
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// Enough rules that their JSON is several sync items long, with multi-byte titles
+function manyRules(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `rule-${i}`,
+    title: `Grüppe ${i} — “quoted”`,
+    color: 'blue',
+    type: 'group',
+    patterns: [`host-${i}.example.com/some/long/path/*`, `*.mirror-${i}.example.org`]
+  }));
+}
+
+test('a value that fits in one item is stored as it is', async () => {
+  const { chrome, context } = loadShared();
+  const rules = manyRules(2);
+  await context.saveRuleData({ groupingRules: rules, activeProfileId: 'work' });
+  assert.deepEqual(chrome.storage.sync.data, { groupingRules: rules, activeProfileId: 'work' });
+  assert.deepEqual(plain(await context.loadRuleData({ groupingRules: [], activeProfileId: null })),
+    { groupingRules: rules, activeProfileId: 'work' });
+});
+
+test('a large value is sharded under the item quota and reads back whole', async () => {
+  const { chrome, context } = loadShared();
+  const rules = manyRules(300);
+  await context.saveRuleData({ groupingRules: rules });
+  const { data } = chrome.storage.sync;
+  const header = data.groupingRules;
+  assert.ok(header.shards > 1);
+  assert.equal(typeof header.hash, 'string');
+  for (const [key, value] of Object.entries(data)) {
+    assert.ok(context.storageItemBytes(key, value) <= chrome.storage.sync.QUOTA_BYTES_PER_ITEM, key);
+  }
+  assert.deepEqual(plain(await context.loadRuleData({ groupingRules: [] })), { groupingRules: rules });
+});
+
+test('shards left over from a larger value are removed', async () => {
+  const { chrome, context } = loadShared();
+  await context.saveRuleData({ groupingRules: manyRules(300) });
+  const before = chrome.storage.sync.data.groupingRules.shards;
+  await context.saveRuleData({ groupingRules: manyRules(100) });
+  const after = chrome.storage.sync.data.groupingRules.shards;
+  assert.ok(after < before);
+  const shardKeys = Object.keys(chrome.storage.sync.data).filter(k => k.startsWith('groupingRules.'));
+  assert.equal(shardKeys.length, after);
+  await context.saveRuleData({ groupingRules: manyRules(1) });
+  assert.deepEqual(Object.keys(chrome.storage.sync.data), ['groupingRules']);
+});
+
+test('a missing or stale shard makes the rules incomplete', async () => {
+  const { chrome, context } = loadShared();
+  await context.saveRuleData({ groupingRules: manyRules(300) });
+  const { data } = chrome.storage.sync;
+  const last = `groupingRules.${data.groupingRules.shards}`;
+  const shard = data[last];
+  delete data[last];
+  await assert.rejects(context.loadRuleData({ groupingRules: [] }), /Rules are incomplete \(groupingRules is still syncing\)/);
+  data[last] = shard.slice(1);
+  await assert.rejects(context.loadRuleData({ groupingRules: [] }), /Rules are incomplete/);
+  data[last] = shard;
+  assert.equal((await context.loadRuleData({ groupingRules: [] })).groupingRules.length, 300);
+});
+
+test('keys that were not asked for are not reassembled', async () => {
+  const { context } = loadShared();
+  await context.saveRuleData({ groupingRules: manyRules(300) });
+  assert.deepEqual(plain(await context.loadRuleData({ autoClosePatterns: [] })), { autoClosePatterns: [] });
+});
+
+test('local mode stores values whole', async () => {
+  const { chrome, context } = loadShared({ local: { ruleStorageMode: 'local' } });
+  const rules = manyRules(300);
+  await context.saveRuleData({ groupingRules: rules });
+  assert.deepEqual(chrome.storage.local.data.groupingRules, rules);
+  assert.deepEqual(chrome.storage.sync.data, {});
+  assert.deepEqual(plain(await context.loadRuleData({ groupingRules: [] })), { groupingRules: rules });
+});
@@ -0,0 +1,163 @@
+'use strict';
+
+// Loads the extension's classic scripts into a fresh VM context with an
+// in-memory chrome API, the way the service worker (importScripts) and the
+// options page (script tags) get them. Only storage is implemented; other
+// namespaces answer `on*` with inert events, so background.js can register
+// its listeners. Tests pass the API methods they need in `apis`.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener(fn) {
+      listeners.push(fn);
+    },
+    removeListener(fn) {
+      const i = listeners.indexOf(fn);
+      if (i >= 0) listeners.splice(i, 1);
+    },
+    hasListener(fn) {
+      return listeners.includes(fn);
+    }
+  };
+}
+
+/**
+ * A chrome.storage area over a plain object (`area.data`). Writes are
+ * checked against the sync per-item quota when `perItemQuota` is set.
+ * @param {Object} initial
+ * @param {boolean} perItemQuota
+ */
+function createStorageArea(initial, perItemQuota) {
+  const area = {
+    data: structuredClone(initial || {}),
+    QUOTA_BYTES: 102400,
+    QUOTA_BYTES_PER_ITEM: 8192,
+    async get(keys) {
+      if (keys == null) return structuredClone(area.data);
+      const defaults = typeof keys === 'string' ? { [keys]: undefined }
+        : Array.isArray(keys) ? Object.fromEntries(keys.map(k => [k, undefined])) : keys;
+      const out = {};
+      for (const [key, fallback] of Object.entries(defaults)) {
+        if (key in area.data) out[key] = structuredClone(area.data[key]);
+        else if (fallback !== undefined) out[key] = fallback;
+      }
+      return out;
+    },
+    async set(items) {
+      for (const [key, value] of Object.entries(items)) {
+        if (perItemQuota && new TextEncoder().encode(key + JSON.stringify(value)).length > area.QUOTA_BYTES_PER_ITEM) {
+          throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded');
+        }
+      }
+      Object.assign(area.data, structuredClone(items));
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete area.data[key];
+    },
+    async getBytesInUse(keys) {
+      const list = keys == null ? Object.keys(area.data) : [].concat(keys).filter(k => k in area.data);
+      return list.reduce((n, k) => n + k.length + JSON.stringify(area.data[k]).length, 0);
+    }
+  };
+  return area;
+}
+
+function createNamespace(methods) {
+  return new Proxy({ ...methods }, {
+    get(target, prop) {
+      if (!(prop in target) && typeof prop === 'string' && prop.startsWith('on')) target[prop] = createEvent();
+      return target[prop];
+    }
+  });
+}
+
+/**
+ * @param {{sync?:Object, local?:Object, session?:Object, apis?:Object<string,Object>}} options
+ */
+function createChrome({ sync, local, session, apis = {} } = {}) {
+  const chrome = {
+    storage: {
+      sync: createStorageArea(sync, true),
+      local: createStorageArea(local, false),
+      session: createStorageArea(session, false),
+      onChanged: createEvent()
+    },
+    tabGroups: createNamespace({ TAB_GROUP_ID_NONE: -1, ...apis.tabGroups })
+  };
+  for (const [name, methods] of Object.entries(apis)) {
+    if (!(name in chrome)) chrome[name] = createNamespace(methods);
+  }
+  return new Proxy(chrome, {
+    get(target, prop) {
+      if (!(prop in target) && typeof prop === 'string') target[prop] = createNamespace({});
+      return target[prop];
+    }
+  });
+}
+
+/**
+ * Run scripts from the repository root in a new context.
+ * @param {string[]} files
+ * @param {ReturnType<typeof createChrome>} chrome
+ * @param {Object=} globals more globals the scripts expect, e.g. `document`
+ * @returns {Object} the context; the scripts' functions are its properties
+ */
+function loadScripts(files, chrome, globals) {
+  const context = {
+    ...globals,
+    chrome,
+    console,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    crypto: globalThis.crypto,
+    structuredClone,
+    setTimeout,
+    clearTimeout
+  };
+  context.self = context;
+  context.importScripts = (...names) => names.forEach(name => run(name));
+  vm.createContext(context);
+  const run = (name) => vm.runInContext(fs.readFileSync(path.join(ROOT, name), 'utf8'), context, { filename: name });
+  files.forEach(run);
+  return context;
+}
+
+/**
+ * The service worker with its shared scripts.
+ * @param {Parameters<typeof createChrome>[0]} options
+ */
+function loadBackground(options) {
+  const chrome = createChrome(options);
+  return { chrome, context: loadScripts(['background.js'], chrome) };
+}
+
+/**
+ * The shared scripts alone (storage.js and schema.js), as the options page
+ * loads them before options.js.
+ * @param {Parameters<typeof createChrome>[0]} options
+ */
+function loadShared(options) {
+  const chrome = createChrome(options);
+  return { chrome, context: loadScripts(['storage.js', 'schema.js'], chrome) };
+}
+
+/**
+ * The options page's scripts. The page is never set up: its DOMContentLoaded
+ * listener isn't run, so only its functions can be tested.
+ * @param {Parameters<typeof createChrome>[0]} options
+ */
+function loadOptions(options) {
+  const chrome = createChrome(options);
+  const document = { addEventListener() {} };
+  return { chrome, context: loadScripts(['storage.js', 'schema.js', 'options.js'], chrome, { document }) };
+}
+
+module.exports = { createChrome, loadScripts, loadBackground, loadShared, loadOptions };
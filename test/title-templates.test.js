@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./support/extension');
+
+const { context } = loadBackground();
+
+function matchTitle(rules, url) {
+  const match = context.findMatchingGroup(context.getUrlParts(url), context.normalizeGroups(rules));
+  return match && match.title;
+}
+
+const repoRule = { id: 'repo', title: 'GH: {path.1}/{path.2}', color: 'blue', patterns: ['github.com'] };
+const fallbackRule = { id: 'gh', title: 'GitHub', color: 'grey', patterns: ['github.com'] };
+
+test('a template renders every placeholder from the URL', () => {
+  assert.equal(matchTitle([repoRule], 'https://github.com/acme/tools/pulls'), 'GH: acme/tools');
+});
+
+test('a URL missing a placeholder value skips the rule', () => {
+  assert.equal(matchTitle([repoRule], 'https://github.com/'), null);
+  assert.equal(matchTitle([repoRule], 'https://github.com/acme'), null);
+});
+
+test('a skipped template rule falls through to later rules', () => {
+  assert.equal(matchTitle([repoRule, fallbackRule], 'https://github.com/acme'), 'GitHub');
+});
+
+test('a missing query parameter skips the rule too', () => {
+  const rule = { id: 'q', title: 'Search: {query.q}', color: 'grey', patterns: ['example.com/search'] };
+  assert.equal(matchTitle([rule], 'https://example.com/search?q=tabs'), 'Search: tabs');
+  assert.equal(matchTitle([rule], 'https://example.com/search'), null);
+});
+
+test('the tester reports the missing placeholder', () => {
+  const { rules } = context.explainUrl('https://github.com/acme', [repoRule, fallbackRule], [], 'first');
+  assert.deepEqual(rules.map(r => r.status), ['missing-placeholder', 'matched']);
+});
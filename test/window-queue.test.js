@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./support/extension');
+
+const { context } = loadBackground();
+const reported = [];
+context.reportTabOpError = (label, e) => reported.push(label);
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+test('ops on a window run one at a time, in order', async () => {
+  const gate = deferred();
+  const log = [];
+  const first = context.enqueueWindowOp(1, 'a', async () => {
+    log.push('a start');
+    await gate.promise;
+    log.push('a end');
+    return 'a';
+  });
+  const second = context.enqueueWindowOp(1, 'b', async () => {
+    log.push('b');
+    return 'b';
+  });
+  await Promise.resolve();
+  gate.resolve();
+  assert.deepEqual([await first, await second], ['a', 'b']);
+  assert.deepEqual(log, ['a start', 'a end', 'b']);
+});
+
+test('a waiting op absorbs later requests under its key', async () => {
+  const gate = deferred();
+  const runs = [];
+  const blocker = context.enqueueWindowOp(2, 'block', () => gate.promise);
+  const joins = [3, 4, 5].map(tabId => context.enqueueWindowOp(2, 'join', async (items) => {
+    runs.push({ by: tabId, items: [...items] });
+    return items.length;
+  }, tabId));
+  gate.resolve();
+  await blocker;
+  // One call with every item, run by the latest request's function
+  assert.deepEqual(await Promise.all(joins), [3, 3, 3]);
+  assert.deepEqual(runs, [{ by: 5, items: [3, 4, 5] }]);
+});
+
+test('ops Chrome refuses while a tab is dragged are retried', async () => {
+  let attempts = 0;
+  const result = await context.enqueueWindowOp(3, 'group', async () => {
+    attempts++;
+    if (attempts < 3) throw new Error('Tabs cannot be edited right now (user may be dragging a tab).');
+    return 'grouped';
+  });
+  assert.equal(result, 'grouped');
+  assert.equal(attempts, 3);
+});
+
+test('a failing op is reported and resolves undefined without stopping the queue', async () => {
+  reported.length = 0;
+  const failed = context.enqueueWindowOp(4, 'broken', async () => {
+    throw new Error('No group with id: 7');
+  });
+  const next = context.enqueueWindowOp(4, 'after', async () => 'ran');
+  assert.equal(await failed, undefined);
+  assert.equal(await next, 'ran');
+  assert.deepEqual(reported, ['broken in window 4']);
+});